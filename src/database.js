@@ -30,6 +30,22 @@ function initializeDatabase() {
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
 
+    -- Seasons: the league calendar and lifecycle. Exactly one season is current; closed seasons are read-only.
+    CREATE TABLE IF NOT EXISTS seasons (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      start_date DATE,
+      end_date DATE,
+      status TEXT DEFAULT 'planning' CHECK(status IN ('planning', 'auction', 'draft', 'regular', 'playoffs', 'closed')),
+      is_current INTEGER DEFAULT 0,
+      closed_at DATETIME,
+      closed_by INTEGER REFERENCES users(id),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_current ON seasons(is_current) WHERE is_current = 1;
+
     -- Teams table
     CREATE TABLE IF NOT EXISTS teams (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -85,6 +101,12 @@ function initializeDatabase() {
       winner_id INTEGER REFERENCES teams(id),
       final_result TEXT,
       season INTEGER DEFAULT 1,
+      course_id INTEGER REFERENCES courses(id),
+      handicap_allowance INTEGER DEFAULT 100,
+      referee_user_id INTEGER REFERENCES users(id),
+      stage TEXT DEFAULT 'league' CHECK(stage IN ('league', 'playoff')),
+      allow_extra_holes INTEGER DEFAULT 0,
+      extra_holes_start INTEGER DEFAULT 1,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
@@ -93,12 +115,151 @@ function initializeDatabase() {
     CREATE TABLE IF NOT EXISTS match_scores (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
-      hole_number INTEGER NOT NULL CHECK(hole_number >= 1 AND hole_number <= 18),
+      rubber_id INTEGER REFERENCES match_rubbers(id) ON DELETE CASCADE,
+      hole_number INTEGER NOT NULL CHECK(hole_number >= 1),
       player_id INTEGER REFERENCES players(id),
       team_id INTEGER NOT NULL REFERENCES teams(id),
       result TEXT CHECK(result IN ('won', 'lost', 'squared')),
+      recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Rubbers: the individual games (singles, four-ball, foursomes) that make up a team fixture
+    CREATE TABLE IF NOT EXISTS match_rubbers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+      rubber_number INTEGER NOT NULL,
+      format TEXT NOT NULL CHECK(format IN ('singles', 'fourball', 'foursomes')),
+      status TEXT DEFAULT 'scheduled' CHECK(status IN ('scheduled', 'live', 'completed')),
+      winner_team_id INTEGER REFERENCES teams(id),
+      final_result TEXT,
+      team1_points REAL DEFAULT 0,
+      team2_points REAL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(match_id, rubber_number)
+    );
+
+    CREATE TABLE IF NOT EXISTS match_rubber_players (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rubber_id INTEGER NOT NULL REFERENCES match_rubbers(id) ON DELETE CASCADE,
+      team_id INTEGER NOT NULL REFERENCES teams(id),
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      UNIQUE(rubber_id, player_id)
+    );
+
+    -- Post-season knockout bracket seeded from the league table
+    CREATE TABLE IF NOT EXISTS playoff_brackets (
+      season INTEGER PRIMARY KEY,
+      format TEXT NOT NULL CHECK(format IN ('semi_finals', 'page')),
+      seeds TEXT NOT NULL,
+      schedule TEXT,
+      status TEXT DEFAULT 'in_progress' CHECK(status IN ('in_progress', 'completed')),
+      champion_team_id INTEGER REFERENCES teams(id),
+      created_by INTEGER REFERENCES users(id),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    );
+
+    -- One tie in the bracket. Sources say where each side comes from: 'seed:1', 'winner:SF1', 'loser:Q1'
+    CREATE TABLE IF NOT EXISTS playoff_slots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season INTEGER NOT NULL REFERENCES playoff_brackets(season) ON DELETE CASCADE,
+      slot_key TEXT NOT NULL,
+      name TEXT NOT NULL,
+      playoff_round INTEGER NOT NULL,
+      team1_source TEXT NOT NULL,
+      team2_source TEXT NOT NULL,
+      match_id INTEGER REFERENCES matches(id) ON DELETE SET NULL,
+      UNIQUE(season, slot_key)
+    );
+
+    -- Extra holes played one at a time to settle a halved knockout match
+    CREATE TABLE IF NOT EXISTS sudden_death_holes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+      extra_hole INTEGER NOT NULL,
+      course_hole INTEGER NOT NULL,
+      winner_team_id INTEGER REFERENCES teams(id),
+      recorded_by INTEGER REFERENCES users(id),
+      recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(match_id, extra_hole)
+    );
+
+    -- League table scoring for a season: points per result and the tiebreaker order
+    CREATE TABLE IF NOT EXISTS standings_config (
+      season INTEGER PRIMARY KEY,
+      points_win REAL NOT NULL DEFAULT 2,
+      points_halve REAL NOT NULL DEFAULT 1,
+      points_loss REAL NOT NULL DEFAULT 0,
+      tiebreakers TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Courses and their hole layout (par and stroke index drive handicap allocation)
+    CREATE TABLE IF NOT EXISTS courses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      venue TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS course_holes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      hole_number INTEGER NOT NULL CHECK(hole_number >= 1 AND hole_number <= 18),
+      par INTEGER NOT NULL CHECK(par >= 3 AND par <= 6),
+      stroke_index INTEGER NOT NULL CHECK(stroke_index >= 1 AND stroke_index <= 18),
+      UNIQUE(course_id, hole_number),
+      UNIQUE(course_id, stroke_index)
+    );
+
+    -- Gross strokes per player per hole; match_scores results are derived from these
+    CREATE TABLE IF NOT EXISTS hole_scores (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+      rubber_id INTEGER REFERENCES match_rubbers(id) ON DELETE CASCADE,
+      hole_number INTEGER NOT NULL,
+      team_id INTEGER NOT NULL REFERENCES teams(id),
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      strokes INTEGER NOT NULL CHECK(strokes >= 1),
+      status TEXT DEFAULT 'confirmed' CHECK(status IN ('pending', 'confirmed', 'disputed', 'resolved')),
+      recorded_by INTEGER REFERENCES users(id),
       recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(match_id, hole_number, team_id)
+      resolved_by INTEGER REFERENCES users(id),
+      resolved_at DATETIME,
+      UNIQUE(match_id, hole_number, player_id)
+    );
+
+    -- Each side's own entry of a player's strokes on a hole; hole_scores holds the verified figure
+    CREATE TABLE IF NOT EXISTS score_submissions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+      rubber_id INTEGER REFERENCES match_rubbers(id) ON DELETE CASCADE,
+      hole_number INTEGER NOT NULL,
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      team_id INTEGER NOT NULL REFERENCES teams(id),
+      submitted_by_team_id INTEGER NOT NULL REFERENCES teams(id),
+      strokes INTEGER NOT NULL CHECK(strokes >= 1),
+      submitted_by INTEGER REFERENCES users(id),
+      submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(match_id, hole_number, player_id, submitted_by_team_id)
+    );
+
+    -- Every entry, confirmation, dispute and resolution of a hole score
+    CREATE TABLE IF NOT EXISTS hole_score_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+      rubber_id INTEGER REFERENCES match_rubbers(id) ON DELETE CASCADE,
+      hole_number INTEGER NOT NULL,
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      action TEXT NOT NULL CHECK(action IN ('submitted', 'confirmed', 'disputed', 'resolved')),
+      strokes INTEGER,
+      previous_strokes INTEGER,
+      team_id INTEGER REFERENCES teams(id),
+      user_id INTEGER REFERENCES users(id),
+      note TEXT,
+      created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now'))
     );
 
     -- Auction Log
@@ -110,10 +271,33 @@ function initializeDatabase() {
       bid_increment INTEGER DEFAULT 0,
       is_auto_bid INTEGER DEFAULT 0,
       is_winning_bid INTEGER DEFAULT 0,
+      event_type TEXT DEFAULT 'bid',
       season INTEGER DEFAULT 1,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
 
+    -- Auction event journal (append-only): every state transition the auction engine broadcasts
+    CREATE TABLE IF NOT EXISTS auction_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season INTEGER NOT NULL,
+      player_id INTEGER REFERENCES players(id),
+      event_type TEXT NOT NULL,
+      payload TEXT,
+      created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now'))
+    );
+
+    -- Right-to-match cards: a team may match the winning price for a player from its previous season roster
+    CREATE TABLE IF NOT EXISTS rtm_cards (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season INTEGER NOT NULL,
+      team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+      player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+      status TEXT DEFAULT 'available' CHECK(status IN ('available', 'offered', 'used', 'declined', 'expired')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      resolved_at DATETIME,
+      UNIQUE(season, player_id)
+    );
+
     -- Draft Log
     CREATE TABLE IF NOT EXISTS draft_log (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -125,6 +309,164 @@ function initializeDatabase() {
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
 
+    -- Draft pick ledger: every (season, round, slot) is an asset owned by a team and can change hands
+    CREATE TABLE IF NOT EXISTS draft_picks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season INTEGER NOT NULL,
+      round_number INTEGER NOT NULL,
+      slot INTEGER NOT NULL,
+      pick_number INTEGER,
+      original_team_id INTEGER NOT NULL REFERENCES teams(id),
+      owner_team_id INTEGER NOT NULL REFERENCES teams(id),
+      player_id INTEGER REFERENCES players(id),
+      used_at DATETIME,
+      skipped INTEGER DEFAULT 0,
+      UNIQUE(season, round_number, slot)
+    );
+
+    -- Weighted draft lottery draws, kept with their seed so the result can be audited
+    CREATE TABLE IF NOT EXISTS draft_lotteries (
+      season INTEGER PRIMARY KEY,
+      seed INTEGER NOT NULL,
+      odds TEXT NOT NULL,
+      draft_order TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Trades of draft picks and rostered players between two teams, applied once an admin approves
+    CREATE TABLE IF NOT EXISTS draft_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season INTEGER NOT NULL,
+      proposing_team_id INTEGER NOT NULL REFERENCES teams(id),
+      receiving_team_id INTEGER NOT NULL REFERENCES teams(id),
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'approved', 'rejected', 'cancelled')),
+      note TEXT,
+      proposed_by INTEGER REFERENCES users(id),
+      resolved_by INTEGER REFERENCES users(id),
+      resolved_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS draft_trade_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trade_id INTEGER NOT NULL REFERENCES draft_trades(id) ON DELETE CASCADE,
+      from_team_id INTEGER NOT NULL REFERENCES teams(id),
+      to_team_id INTEGER NOT NULL REFERENCES teams(id),
+      item_type TEXT NOT NULL CHECK(item_type IN ('pick', 'player')),
+      pick_id INTEGER REFERENCES draft_picks(id),
+      player_id INTEGER REFERENCES players(id)
+    );
+
+    -- Each team's private, ranked draft wish list (used for auto-picks when the clock runs out)
+    CREATE TABLE IF NOT EXISTS draft_queues (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season INTEGER NOT NULL,
+      team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+      player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+      rank INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(season, team_id, player_id)
+    );
+
+    -- Mock drafts: sandboxed rehearsals against a snapshot of the pool; never touch live rosters
+    CREATE TABLE IF NOT EXISTS mock_drafts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season INTEGER NOT NULL,
+      format TEXT NOT NULL,
+      rounds INTEGER NOT NULL,
+      roster_cap INTEGER NOT NULL,
+      draft_order TEXT NOT NULL,
+      board TEXT NOT NULL,
+      pool TEXT NOT NULL,
+      starting_rosters TEXT NOT NULL,
+      seats TEXT NOT NULL,
+      current_pick INTEGER DEFAULT 1,
+      status TEXT DEFAULT 'in_progress' CHECK(status IN ('in_progress', 'completed')),
+      created_by INTEGER REFERENCES users(id),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    );
+
+    CREATE TABLE IF NOT EXISTS mock_draft_picks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      mock_draft_id INTEGER NOT NULL REFERENCES mock_drafts(id) ON DELETE CASCADE,
+      pick_number INTEGER NOT NULL,
+      round_number INTEGER NOT NULL,
+      slot INTEGER NOT NULL,
+      team_id INTEGER NOT NULL REFERENCES teams(id),
+      player_id INTEGER REFERENCES players(id),
+      skipped INTEGER DEFAULT 0,
+      made_by TEXT CHECK(made_by IN ('user', 'bot')),
+      strategy TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(mock_draft_id, pick_number)
+    );
+
+    -- Auction catalogue: per-season settings, ordered player sets and the lots within them
+    CREATE TABLE IF NOT EXISTS auction_catalogues (
+      season INTEGER PRIMARY KEY,
+      reauction_enabled INTEGER DEFAULT 1,
+      reauction_discount_pct INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS auction_sets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      set_order INTEGER NOT NULL,
+      ordering TEXT DEFAULT 'ordered' CHECK(ordering IN ('ordered', 'shuffled')),
+      format TEXT DEFAULT 'open' CHECK(format IN ('open', 'sealed')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS auction_lots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season INTEGER NOT NULL,
+      set_id INTEGER NOT NULL REFERENCES auction_sets(id) ON DELETE CASCADE,
+      player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+      lot_order INTEGER NOT NULL,
+      round TEXT DEFAULT 'main' CHECK(round IN ('main', 'reauction')),
+      base_price INTEGER,
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'called', 'sold', 'unsold')),
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(season, player_id)
+    );
+
+    -- Sealed bids stay hidden here until the lot closes and they are revealed into auction_log
+    CREATE TABLE IF NOT EXISTS auction_sealed_bids (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season INTEGER NOT NULL,
+      player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+      team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+      amount INTEGER NOT NULL,
+      created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now')),
+      UNIQUE(season, player_id, team_id)
+    );
+
+    -- Completed auction sales that an admin has reversed
+    CREATE TABLE IF NOT EXISTS auction_sale_reversals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season INTEGER NOT NULL,
+      auction_log_id INTEGER NOT NULL REFERENCES auction_log(id),
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      team_id INTEGER NOT NULL REFERENCES teams(id),
+      price INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      restored_lot INTEGER DEFAULT 0,
+      reversed_by INTEGER REFERENCES users(id),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Roster rules per season (squad size limits and purse reserve for unfilled slots)
+    CREATE TABLE IF NOT EXISTS roster_rules (
+      season INTEGER PRIMARY KEY,
+      min_squad_size INTEGER NOT NULL DEFAULT 5,
+      max_squad_size INTEGER NOT NULL DEFAULT 8,
+      min_reserve_per_slot INTEGER,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
     -- Sponsors table
     CREATE TABLE IF NOT EXISTS sponsors (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -158,6 +500,11 @@ function initializeDatabase() {
       draft_round INTEGER DEFAULT 1,
       draft_pick INTEGER DEFAULT 1,
       draft_order TEXT,
+      draft_format TEXT DEFAULT 'snake',
+      draft_rounds INTEGER,
+      draft_roster_cap INTEGER,
+      draft_pick_seconds INTEGER,
+      draft_completed_at DATETIME,
       season INTEGER DEFAULT 1,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
@@ -165,6 +512,26 @@ function initializeDatabase() {
     -- Initialize auction state if not exists
     INSERT OR IGNORE INTO auction_state (id, mode) VALUES (1, 'idle');
 
+    -- Auction engine state (phase, bid queue, auto-bids) so a restart can recover the lot in progress
+    CREATE TABLE IF NOT EXISTS auction_engine_state (
+      id INTEGER PRIMARY KEY CHECK(id = 1),
+      phase TEXT DEFAULT 'idle',
+      paused_phase TEXT,
+      setup_phase_duration INTEGER DEFAULT 30000,
+      bid_queue TEXT DEFAULT '[]',
+      auto_bid_settings TEXT DEFAULT '{}',
+      hammer_config TEXT,
+      increment_ladder TEXT,
+      rtm_offer TEXT,
+      rtm_window_duration INTEGER DEFAULT 30000,
+      auto_advance TEXT,
+      sealed_config TEXT,
+      sealed_lot TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    INSERT OR IGNORE INTO auction_engine_state (id) VALUES (1);
+
     -- Create indexes for performance
     CREATE INDEX IF NOT EXISTS idx_users_phone ON users(phone);
     CREATE INDEX IF NOT EXISTS idx_team_roster_team ON team_roster(team_id);
@@ -173,6 +540,9 @@ function initializeDatabase() {
     CREATE INDEX IF NOT EXISTS idx_matches_round ON matches(round_number);
     CREATE INDEX IF NOT EXISTS idx_match_scores_match ON match_scores(match_id);
     CREATE INDEX IF NOT EXISTS idx_auction_log_player ON auction_log(player_id);
+    CREATE INDEX IF NOT EXISTS idx_auction_lots_season ON auction_lots(season, status);
+    CREATE INDEX IF NOT EXISTS idx_auction_events_season ON auction_events(season, player_id);
+    CREATE INDEX IF NOT EXISTS idx_hole_score_history_match ON hole_score_history(match_id, hole_number);
     CREATE INDEX IF NOT EXISTS idx_otp_phone ON otp_codes(phone);
   `);
 
@@ -182,6 +552,19 @@ function initializeDatabase() {
   runMigrations();
 }
 
+// Add a column to an existing table if an older database doesn't have it yet
+function addColumnIfMissing(table, column, definition) {
+  try {
+    const columns = db.pragma(`table_info(${table})`);
+    if (!columns.some(col => col.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`Migration: Added ${column} column to ${table} table`);
+    }
+  } catch (error) {
+    console.log(`Migration check for ${table}.${column}:`, error.message);
+  }
+}
+
 function runMigrations() {
   // Migration: Add bidding_authority_user_id to teams table
   try {
@@ -195,6 +578,154 @@ function runMigrations() {
   } catch (error) {
     console.log('Migration check for bidding_authority_user_id:', error.message);
   }
+
+  // Migration: Hammer (going once / going twice) settings for the auction clock
+  addColumnIfMissing('auction_engine_state', 'hammer_config', 'TEXT');
+
+  // Migration: Admin-defined bid increment ladder
+  addColumnIfMissing('auction_engine_state', 'increment_ladder', 'TEXT');
+
+  // Migration: Right-to-match offers and auction_log event types
+  addColumnIfMissing('auction_log', 'event_type', "TEXT DEFAULT 'bid'");
+  addColumnIfMissing('auction_engine_state', 'rtm_offer', 'TEXT');
+  addColumnIfMissing('auction_engine_state', 'rtm_window_duration', 'INTEGER DEFAULT 30000');
+
+  // Migration: Auto-advance through the auction catalogue
+  addColumnIfMissing('auction_engine_state', 'auto_advance', 'TEXT');
+
+  // Migration: Sealed-bid lots
+  addColumnIfMissing('auction_sets', 'format', "TEXT DEFAULT 'open'");
+  addColumnIfMissing('auction_engine_state', 'sealed_config', 'TEXT');
+  addColumnIfMissing('auction_engine_state', 'sealed_lot', 'TEXT');
+
+  // Migration: Draft pick clock that carries over to every pick
+  addColumnIfMissing('auction_state', 'draft_pick_seconds', 'INTEGER');
+
+  // Migration: Draft formats and the precomputed pick board
+  addColumnIfMissing('auction_state', 'draft_format', "TEXT DEFAULT 'snake'");
+  addColumnIfMissing('draft_picks', 'pick_number', 'INTEGER');
+
+  // Migration: Draft round limits and per-team roster caps
+  addColumnIfMissing('auction_state', 'draft_rounds', 'INTEGER');
+  addColumnIfMissing('auction_state', 'draft_roster_cap', 'INTEGER');
+  addColumnIfMissing('draft_picks', 'skipped', 'INTEGER DEFAULT 0');
+
+  // Migration: A draft that completed itself can be reopened by undoing its last pick
+  addColumnIfMissing('auction_state', 'draft_completed_at', 'DATETIME');
+
+  // Migration: Course played and handicap allowance (percent of the difference) for net match play
+  addColumnIfMissing('matches', 'course_id', 'INTEGER REFERENCES courses(id)');
+  addColumnIfMissing('matches', 'handicap_allowance', 'INTEGER DEFAULT 100');
+
+  // Migration: Rubbers within a fixture. match_scores is rebuilt so one row per team per hole applies per rubber.
+  addColumnIfMissing('hole_scores', 'rubber_id', 'INTEGER REFERENCES match_rubbers(id) ON DELETE CASCADE');
+  try {
+    const columns = db.pragma('table_info(match_scores)');
+
+    if (!columns.some(col => col.name === 'rubber_id')) {
+      db.transaction(() => {
+        db.exec(`
+          CREATE TABLE match_scores_rebuilt (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+            rubber_id INTEGER REFERENCES match_rubbers(id) ON DELETE CASCADE,
+            hole_number INTEGER NOT NULL CHECK(hole_number >= 1 AND hole_number <= 18),
+            player_id INTEGER REFERENCES players(id),
+            team_id INTEGER NOT NULL REFERENCES teams(id),
+            result TEXT CHECK(result IN ('won', 'lost', 'squared')),
+            recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          );
+          INSERT INTO match_scores_rebuilt (id, match_id, hole_number, player_id, team_id, result, recorded_at)
+            SELECT id, match_id, hole_number, player_id, team_id, result, recorded_at FROM match_scores;
+          DROP TABLE match_scores;
+          ALTER TABLE match_scores_rebuilt RENAME TO match_scores;
+          CREATE INDEX IF NOT EXISTS idx_match_scores_match ON match_scores(match_id);
+        `);
+      })();
+      console.log('Migration: Rebuilt match_scores with rubber_id');
+    }
+
+    db.exec(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_match_scores_hole
+      ON match_scores(match_id, COALESCE(rubber_id, 0), hole_number, team_id)
+    `);
+  } catch (error) {
+    console.log('Migration check for match_scores rubber_id:', error.message);
+  }
+
+  // Migration: Dual-entry score verification and per-match referees
+  addColumnIfMissing('hole_scores', 'status', "TEXT DEFAULT 'confirmed'");
+  addColumnIfMissing('hole_scores', 'resolved_by', 'INTEGER REFERENCES users(id)');
+  addColumnIfMissing('hole_scores', 'resolved_at', 'DATETIME');
+  addColumnIfMissing('matches', 'referee_user_id', 'INTEGER REFERENCES users(id)');
+
+  // Migration: League and playoff stages
+  addColumnIfMissing('matches', 'stage', "TEXT DEFAULT 'league'");
+
+  // Migration: Extra holes (19th onwards) to settle a match that is all square after 18.
+  // match_scores is rebuilt without the 1-18 limit on hole_number.
+  addColumnIfMissing('matches', 'allow_extra_holes', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('matches', 'extra_holes_start', 'INTEGER DEFAULT 1');
+  try {
+    const { sql } = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'match_scores'").get();
+
+    if (sql.includes('hole_number <= 18')) {
+      db.transaction(() => {
+        db.exec(`
+          CREATE TABLE match_scores_rebuilt (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+            rubber_id INTEGER REFERENCES match_rubbers(id) ON DELETE CASCADE,
+            hole_number INTEGER NOT NULL CHECK(hole_number >= 1),
+            player_id INTEGER REFERENCES players(id),
+            team_id INTEGER NOT NULL REFERENCES teams(id),
+            result TEXT CHECK(result IN ('won', 'lost', 'squared')),
+            recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          );
+          INSERT INTO match_scores_rebuilt (id, match_id, rubber_id, hole_number, player_id, team_id, result, recorded_at)
+            SELECT id, match_id, rubber_id, hole_number, player_id, team_id, result, recorded_at FROM match_scores;
+          DROP TABLE match_scores;
+          ALTER TABLE match_scores_rebuilt RENAME TO match_scores;
+          CREATE INDEX IF NOT EXISTS idx_match_scores_match ON match_scores(match_id);
+          CREATE UNIQUE INDEX IF NOT EXISTS idx_match_scores_hole
+          ON match_scores(match_id, COALESCE(rubber_id, 0), hole_number, team_id);
+        `);
+      })();
+      console.log('Migration: Rebuilt match_scores to allow extra holes');
+    }
+  } catch (error) {
+    console.log('Migration check for match_scores extra holes:', error.message);
+  }
+
+  // Migration: Seasons table. Every season already in use gets a row and the latest becomes current.
+  try {
+    const { count } = db.prepare('SELECT COUNT(*) as count FROM seasons').get();
+
+    if (count === 0) {
+      const seasons = db.prepare(`
+        SELECT season FROM team_roster UNION SELECT season FROM matches UNION SELECT season FROM auction_state
+      `).all().map(row => row.season).filter(season => season !== null);
+      if (seasons.length === 0) seasons.push(1);
+
+      const latest = Math.max(...seasons);
+      const latestStatus = db.prepare('SELECT 1 FROM matches WHERE season = ? LIMIT 1').get(latest) ? 'regular' : 'planning';
+      const insert = db.prepare(`
+        INSERT INTO seasons (id, name, status, is_current, closed_at)
+        VALUES (?, ?, ?, ?, CASE WHEN ? THEN CURRENT_TIMESTAMP END)
+      `);
+      db.transaction(() => {
+        seasons.sort((a, b) => a - b).forEach(season => insert.run(
+          season, `Season ${season}`,
+          season === latest ? latestStatus : 'closed',
+          season === latest ? 1 : 0,
+          season === latest ? 0 : 1
+        ));
+      })();
+      console.log(`Migration: Created seasons ${seasons.join(', ')} with season ${latest} current`);
+    }
+  } catch (error) {
+    console.log('Migration check for seasons:', error.message);
+  }
 }
 
 module.exports = { db, initializeDatabase };
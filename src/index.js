@@ -37,12 +37,18 @@ if (process.env.NODE_ENV !== 'production') {
 
 // Routes
 app.use('/auth', require('./routes/auth'));
+app.use('/seasons', require('./routes/seasons'));
 app.use('/users', require('./routes/users'));
 app.use('/teams', require('./routes/teams'));
 app.use('/players', require('./routes/players'));
 app.use('/matches', require('./routes/matches'));
-app.use('/auction', require('./routes/auction'));
-app.use('/draft', require('./routes/draft'));
+app.use('/courses', require('./routes/courses'));
+app.use('/standings', require('./routes/standings'));
+app.use('/playoffs', require('./routes/playoffs'));
+const auctionRoutes = require('./routes/auction');
+app.use('/auction', auctionRoutes);
+const draftRoutes = require('./routes/draft');
+app.use('/draft', draftRoutes);
 app.use('/sponsors', require('./routes/sponsors'));
 
 // Health check
@@ -58,12 +64,16 @@ app.get('/', (req, res) => {
     description: "Women's Golf League Backend API",
     endpoints: {
       auth: '/auth/send-otp, /auth/verify-otp, /auth/me',
+      seasons: '/seasons, /seasons/current, /seasons/:id, /seasons/rollover',
       users: '/users',
       teams: '/teams, /teams/:id, /teams/:id/roster',
       players: '/players, /players/available, /players/:id',
-      matches: '/matches, /matches/live, /matches/:id, /matches/:id/score',
-      auction: '/auction/state, /auction/start, /auction/bid, /auction/sold',
-      draft: '/draft/status, /draft/start, /draft/pick',
+      matches: '/matches, /matches/generate, /matches/live, /matches/:id, /matches/:id/score, /matches/:id/scorecard, /matches/:id/rubbers, /matches/:id/disputes, /matches/:id/history',
+      courses: '/courses, /courses/:id',
+      standings: '/standings, /standings/config',
+      playoffs: '/playoffs, /playoffs/matches/:id/sudden-death',
+      auction: '/auction/state, /auction/start, /auction/bid, /auction/sold, /auction/replay, /auction/sales/:id/reverse',
+      draft: '/draft/status, /draft/start, /draft/pick, /draft/undo, /draft/queue/:team_id, /draft/picks, /draft/trades, /draft/mock',
       sponsors: '/sponsors'
     }
   });
@@ -152,6 +162,10 @@ io.on('connection', (socket) => {
   });
 });
 
+// Recover any auction lot or draft pick clock that was in progress before a restart
+auctionRoutes.recoverEngineState(io);
+draftRoutes.recoverDraftClock(io);
+
 // Start server
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
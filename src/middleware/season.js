@@ -0,0 +1,56 @@
+const { db } = require('../database');
+const { getCurrentSeasonId, getSeason } = require('../services/seasons');
+
+// Season a write targets: given in the body or query, otherwise the current season
+function requestSeason(req) {
+  const season = req.body && req.body.season !== undefined ? req.body.season : req.query.season;
+  return parseInt(season) || getCurrentSeasonId();
+}
+
+// Season of the match in the route's :id
+function matchSeason(req) {
+  const match = db.prepare('SELECT season FROM matches WHERE id = ?').get(req.params.id);
+  return match ? match.season : null;
+}
+
+// Season of the sale whose winning auction_log entry is the route's :id
+function saleSeason(req) {
+  const sale = db.prepare('SELECT season FROM auction_log WHERE id = ?').get(req.params.id);
+  return sale ? sale.season : null;
+}
+
+// Season of the draft trade in the route's :id
+function tradeSeason(req) {
+  const trade = db.prepare('SELECT season FROM draft_trades WHERE id = ?').get(req.params.id);
+  return trade ? trade.season : null;
+}
+
+// Season of the right-to-match card in the route's :id
+function rtmCardSeason(req) {
+  const card = db.prepare('SELECT season FROM rtm_cards WHERE id = ?').get(req.params.id);
+  return card ? card.season : null;
+}
+
+// Closed seasons are an archive: reject writes to them. The season is found with resolveSeason(req);
+// a null season (e.g. a match that doesn't exist) is left for the route to handle.
+function requireOpenSeason(resolveSeason = requestSeason) {
+  return (req, res, next) => {
+    const seasonId = resolveSeason(req);
+    const season = seasonId ? getSeason(seasonId) : null;
+
+    if (season && season.status === 'closed') {
+      return res.status(409).json({ error: `${season.name} is closed and read-only` });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  requestSeason,
+  matchSeason,
+  saleSeason,
+  tradeSeason,
+  rtmCardSeason,
+  requireOpenSeason
+};
@@ -2,6 +2,17 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../database');
 const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { requireOpenSeason, saleSeason, rtmCardSeason } = require('../middleware/season');
+const { getRosterRules, getMaxAllowedBid } = require('../services/rosterRules');
+const { RosterLedgerError, addToRoster, removeFromRoster } = require('../services/rosterLedger');
+const { getCurrentSeasonId, advanceSeasonStatus } = require('../services/seasons');
+const {
+  createCatalogue,
+  getCatalogue,
+  getNextLot,
+  getLotForPlayer,
+  setLotStatus
+} = require('../services/auctionCatalogue');
 
 // In-memory bid queue and processing state
 let bidQueue = [];
@@ -21,8 +32,332 @@ let autoBidSettings = {};
 
 // Current phase: 'setup' (15s to set auto-bid) or 'bidding' (active bidding)
 let currentPhase = 'idle';
+let pausedPhase = null;
 let phaseTimer = null;
 
+// Fresh bidding window given to a lot whose clock ran out while the server was down
+const RECOVERY_GRACE_MS = 15000;
+
+// Hammer settings: warnings go out this many seconds before the bidding clock runs out
+let hammerConfig = {
+  enabled: true,
+  goingOnceSeconds: 6,
+  goingTwiceSeconds: 3
+};
+
+// Pending going-once / going-twice / hammer timeouts for the current lot
+let clockTimers = [];
+
+// Open right-to-match offer { cardId, playerId, teamId, winningTeamId, price, expiresAt } while phase is 'rtm'
+let rtmOffer = null;
+let rtmWindowDuration = 30000; // Default 30 seconds for the previous team to match
+
+// Defaults for sealed-bid lots: window length, 'first_price' or 'second_price' settlement, 'budget' or 'earliest' tie-break
+let sealedConfig = { windowSeconds: 60, settlement: 'second_price', tieBreak: 'budget' };
+
+// Open sealed-bid lot { settlement, tieBreak, closesAt } while phase is 'sealed'
+let sealedLot = null;
+
+// Auto-advance: call up the next catalogue lot this many seconds after a sale or unsold result
+let autoAdvance = { enabled: false, delaySeconds: 10 };
+let advanceTimer = null;
+
+// Bid increment ladder: a raise over a bid below `upTo` must be at least `increment` (last rung has no cap)
+let incrementLadder = [
+  { upTo: 500000, increment: 10000 },
+  { upTo: 1000000, increment: 25000 },
+  { upTo: null, increment: 50000 }
+];
+
+// Minimum raise over the given bid according to the increment ladder
+function getMinimumIncrement(bid) {
+  const rung = incrementLadder.find(r => r.upTo === null || bid < r.upTo);
+  return rung.increment;
+}
+
+// Lowest bid the server accepts on the current lot - the base price opens the bidding
+function getNextValidBid(state) {
+  if (!state.current_player_id) return null;
+  if (state.current_bidder_team_id === null) return state.current_bid;
+  return state.current_bid + getMinimumIncrement(state.current_bid);
+}
+
+// Clock lengths for a lot. Re-auction lots run accelerated, at half the setup, bidding and bid-extension time.
+function getLotClock(season, playerId) {
+  const lot = playerId ? getLotForPlayer(season, playerId) : null;
+  const factor = lot && lot.round === 'reauction' ? 0.5 : 1;
+
+  return {
+    setupMs: Math.round(setupPhaseDuration * factor),
+    biddingMs: 30000 * factor,
+    extensionMs: 10000 * factor
+  };
+}
+
+// Journal an auction event, then broadcast it. The journal is append-only and backs GET /auction/replay.
+// Events are filed under the lot named in the payload, else the lot currently on the block.
+function emitAuctionEvent(io, event, payload = {}, { room = null } = {}) {
+  const state = db.prepare('SELECT season, current_player_id FROM auction_state WHERE id = 1').get();
+  const playerId = payload.playerId ?? payload.player?.id ?? state.current_player_id ?? null;
+
+  db.prepare(`
+    INSERT INTO auction_events (season, player_id, event_type, payload) VALUES (?, ?, ?, ?)
+  `).run(state.season, playerId, event, JSON.stringify(payload));
+
+  if (io) {
+    (room ? io.to(room) : io).emit(event, payload);
+  }
+}
+
+// Persist engine state so a restart can pick up the lot in progress
+function saveEngineState() {
+  db.prepare(`
+    UPDATE auction_engine_state SET
+      phase = ?,
+      paused_phase = ?,
+      setup_phase_duration = ?,
+      bid_queue = ?,
+      auto_bid_settings = ?,
+      hammer_config = ?,
+      increment_ladder = ?,
+      rtm_offer = ?,
+      rtm_window_duration = ?,
+      auto_advance = ?,
+      sealed_config = ?,
+      sealed_lot = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = 1
+  `).run(
+    currentPhase,
+    pausedPhase,
+    setupPhaseDuration,
+    JSON.stringify(bidQueue),
+    JSON.stringify(autoBidSettings),
+    JSON.stringify(hammerConfig),
+    JSON.stringify(incrementLadder),
+    rtmOffer ? JSON.stringify(rtmOffer) : null,
+    rtmWindowDuration,
+    JSON.stringify(autoAdvance),
+    JSON.stringify(sealedConfig),
+    sealedLot ? JSON.stringify(sealedLot) : null
+  );
+}
+
+function clearBiddingClock() {
+  clockTimers.forEach(timer => clearTimeout(timer));
+  clockTimers = [];
+}
+
+// Arm the server-owned auction clock from auction_state.timer_end (re-armed on every timer change)
+function armBiddingClock(io) {
+  clearBiddingClock();
+
+  if (!hammerConfig.enabled || currentPhase !== 'bidding') return;
+
+  const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+  if (state.mode !== 'auction' || !state.current_player_id || !state.timer_end) return;
+
+  const msLeft = new Date(state.timer_end).getTime() - Date.now();
+
+  const warnings = [
+    { stage: 'once', seconds: hammerConfig.goingOnceSeconds },
+    { stage: 'twice', seconds: hammerConfig.goingTwiceSeconds }
+  ];
+
+  warnings.forEach(({ stage, seconds }) => {
+    const delay = msLeft - seconds * 1000;
+    if (delay < 0) return;
+
+    clockTimers.push(setTimeout(() => {
+      const current = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+      if (currentPhase === 'bidding' && current.current_player_id === state.current_player_id) {
+        emitAuctionEvent(io, 'auction:going', {
+          stage,
+          playerId: current.current_player_id,
+          currentBid: current.current_bid,
+          currentBidderTeamId: current.current_bidder_team_id,
+          secondsLeft: seconds,
+          timerEnd: current.timer_end
+        });
+      }
+    }, delay));
+  });
+
+  clockTimers.push(setTimeout(() => {
+    try {
+      onBiddingClockExpired(io);
+    } catch (error) {
+      pauseLotAfterError(io, 'Hammer', error);
+    }
+  }, Math.max(msLeft, 0)));
+}
+
+// Bring the hammer down: sell to the highest bidder, or close the lot unsold if nobody bid
+function onBiddingClockExpired(io) {
+  clockTimers = [];
+  if (currentPhase !== 'bidding') return;
+
+  const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+  if (state.mode !== 'auction' || !state.current_player_id) return;
+
+  // A late bid pushed the clock out - start the countdown again
+  if (state.timer_end && new Date(state.timer_end).getTime() > Date.now()) {
+    armBiddingClock(io);
+    return;
+  }
+
+  // Let queued bids land before the hammer falls
+  if (bidQueue.length > 0 || isProcessingBids) {
+    clockTimers.push(setTimeout(() => {
+      try {
+        onBiddingClockExpired(io);
+      } catch (error) {
+        pauseLotAfterError(io, 'Hammer', error);
+      }
+    }, 500));
+    return;
+  }
+
+  console.log(`[AUCTION] Clock expired for player ${state.current_player_id}`);
+
+  if (state.current_bidder_team_id) {
+    const result = sellCurrentPlayer(io, { auto: true });
+
+    // Winning bid no longer fits the roster rules or the ledger - close the lot rather than leave it hanging
+    if (!result.success && (result.status === 400 || result.code)) {
+      console.error(`[AUCTION] Auto-sale failed: ${result.error}`);
+      markCurrentPlayerUnsold(io, { auto: true });
+    }
+  } else {
+    markCurrentPlayerUnsold(io, { auto: true });
+  }
+}
+
+// A timer callback failed part-way through closing a lot. Log it and park the lot paused
+// (or the auction, if the lot already closed) so an admin can resume, sell or pass it by hand.
+function pauseLotAfterError(io, context, error) {
+  console.error(`[AUCTION] ${context} failed:`, error);
+
+  try {
+    isSoldInProgress = false;
+    clearLotTimers();
+    clearAdvanceTimer();
+
+    const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+    let previousPhase = 'bidding';
+    if (!state.current_player_id) {
+      previousPhase = 'idle';
+    } else if (currentPhase === 'setup' || (currentPhase === 'sealed' && sealedLot)) {
+      // Sealed bids not yet revealed stay sealed; resuming reopens the window
+      previousPhase = currentPhase;
+    }
+
+    // An unsettled match offer is withdrawn; the card comes back when the hammer falls again
+    if (rtmOffer) {
+      db.prepare("UPDATE rtm_cards SET status = 'available', resolved_at = NULL WHERE id = ?").run(rtmOffer.cardId);
+      rtmOffer = null;
+    }
+
+    currentPhase = 'paused';
+    pausedPhase = previousPhase;
+    db.prepare('UPDATE auction_state SET timer_end = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = 1').run();
+    saveEngineState();
+
+    emitAuctionEvent(io, 'auction:paused', { previousPhase, error: `${context} failed` });
+  } catch (pauseError) {
+    console.error('[AUCTION] Could not pause after error:', pauseError);
+  }
+}
+
+// True when no lot, offer or timer is live in memory
+function isEngineIdle() {
+  return currentPhase === 'idle' && !phaseTimer && clockTimers.length === 0 && !advanceTimer &&
+    !rtmOffer && !sealedLot && !isSoldInProgress;
+}
+
+// Rebuild engine state from SQLite on startup and re-arm timers from persisted deadlines
+function recoverEngineState(io) {
+  const engine = db.prepare('SELECT * FROM auction_engine_state WHERE id = 1').get();
+  const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+
+  setupPhaseDuration = engine.setup_phase_duration || setupPhaseDuration;
+  if (engine.hammer_config) {
+    hammerConfig = { ...hammerConfig, ...JSON.parse(engine.hammer_config) };
+  }
+  if (engine.increment_ladder) {
+    incrementLadder = JSON.parse(engine.increment_ladder);
+  }
+  rtmWindowDuration = engine.rtm_window_duration || rtmWindowDuration;
+  if (engine.auto_advance) {
+    autoAdvance = JSON.parse(engine.auto_advance);
+  }
+  if (engine.sealed_config) {
+    sealedConfig = JSON.parse(engine.sealed_config);
+  }
+
+  // Nothing in progress - clear anything stale left behind by the previous process
+  if (state.mode !== 'auction' || !state.current_player_id) {
+    bidQueue = [];
+    autoBidSettings = {};
+    currentPhase = 'idle';
+    pausedPhase = null;
+    rtmOffer = null;
+    sealedLot = null;
+    if (state.mode === 'auction' && state.timer_end) {
+      db.prepare('UPDATE auction_state SET timer_end = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = 1').run();
+    }
+    saveEngineState();
+    if (state.mode === 'auction') {
+      scheduleAutoAdvance(io);
+    }
+    return;
+  }
+
+  bidQueue = JSON.parse(engine.bid_queue || '[]');
+  autoBidSettings = JSON.parse(engine.auto_bid_settings || '{}');
+  currentPhase = engine.phase || 'idle';
+  pausedPhase = engine.paused_phase;
+  rtmOffer = engine.rtm_offer ? JSON.parse(engine.rtm_offer) : null;
+  sealedLot = engine.sealed_lot ? JSON.parse(engine.sealed_lot) : null;
+
+  let timerEnd = state.timer_end;
+  const remaining = timerEnd ? new Date(timerEnd).getTime() - Date.now() : 0;
+
+  if (currentPhase === 'setup') {
+    // Setup deadline may already have passed - start bidding straight away in that case
+    phaseTimer = setTimeout(() => {
+      startBiddingPhase(io);
+    }, Math.max(remaining, 0));
+  } else if (currentPhase === 'bidding') {
+    if (remaining <= 0) {
+      timerEnd = new Date(Date.now() + RECOVERY_GRACE_MS).toISOString();
+      db.prepare('UPDATE auction_state SET timer_end = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1').run(timerEnd);
+    }
+    processBidQueue(io);
+    armBiddingClock(io);
+  } else if (currentPhase === 'rtm' && rtmOffer) {
+    // Match window keeps its original deadline; an expired one resolves to the winning bidder
+    armRtmTimer(io);
+  } else if (currentPhase === 'sealed' && sealedLot) {
+    // Sealed window that closed during the outage is revealed straight away
+    armSealedTimer(io);
+  }
+
+  saveEngineState();
+
+  console.log(`[AUCTION] Recovered engine state: phase=${currentPhase}, player=${state.current_player_id}, queued bids=${bidQueue.length}`);
+
+  emitAuctionEvent(io, 'auction:recovered', {
+    playerId: state.current_player_id,
+    currentBid: state.current_bid,
+    currentBidderTeamId: state.current_bidder_team_id,
+    phase: currentPhase,
+    timerEnd,
+    queueLength: bidQueue.length,
+    autoBidSettings
+  }, { room: 'auction' });
+}
+
 // Process the bid queue
 async function processBidQueue(io) {
   if (isProcessingBids || bidQueue.length === 0) return;
@@ -40,6 +375,7 @@ async function processBidQueue(io) {
     }
 
     bidQueue.shift();
+    saveEngineState();
     const result = await executeBid(bid, io);
     lastBidTime = Date.now();
 
@@ -54,7 +390,7 @@ async function processBidQueue(io) {
 
 // Execute a single bid
 async function executeBid(bid, io) {
-  const { teamId, amount, increment, isAutoBid } = bid;
+  const { teamId, amount, isAutoBid } = bid;
 
   const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
 
@@ -62,19 +398,21 @@ async function executeBid(bid, io) {
     return { success: false, error: 'Auction not active' };
   }
 
-  // Check if bid is still valid
-  // Allow opening bid at base price (when no one has bid yet), require strictly higher after that
-  if (amount < state.current_bid || (amount === state.current_bid && state.current_bidder_team_id !== null)) {
+  // Check if bid is still valid against the ladder (another bid may have landed while this one was queued)
+  if (amount < getNextValidBid(state)) {
     return { success: false, error: 'Bid too low' };
   }
 
+  // Record the actual raise over the standing bid, not what the client asked for
+  const increment = amount - state.current_bid;
+
   const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(teamId);
-  if (!team || amount > team.budget_remaining) {
-    return { success: false, error: 'Invalid team or insufficient budget' };
+  if (!team || amount > getMaxAllowedBid(team, state.season, state.current_player_id)) {
+    return { success: false, error: 'Invalid team or bid exceeds max allowed bid' };
   }
 
-  // Extend timer by 10 seconds on new bid
-  const newTimerEnd = new Date(Date.now() + 10 * 1000).toISOString();
+  // Extend timer on new bid (10 seconds, less for a re-auction lot)
+  const newTimerEnd = new Date(Date.now() + getLotClock(state.season, state.current_player_id).extensionMs).toISOString();
 
   // Update auction state
   db.prepare(`
@@ -85,26 +423,25 @@ async function executeBid(bid, io) {
       updated_at = CURRENT_TIMESTAMP
     WHERE id = 1
   `).run(amount, teamId, newTimerEnd);
+  armBiddingClock(io);
 
   // Log bid with increment
   db.prepare(`
     INSERT INTO auction_log (player_id, team_id, bid_amount, bid_increment, is_auto_bid, season)
     VALUES (?, ?, ?, ?, ?, ?)
-  `).run(state.current_player_id, teamId, amount, increment || 0, isAutoBid ? 1 : 0, state.season);
-
-  if (io) {
-    io.emit('auction:bid', {
-      playerId: state.current_player_id,
-      teamId: teamId,
-      teamName: team.name,
-      teamColor: team.primary_color,
-      amount,
-      increment: increment || 0,
-      isAutoBid: isAutoBid || false,
-      timerEnd: newTimerEnd,
-      queueLength: bidQueue.length
-    });
-  }
+  `).run(state.current_player_id, teamId, amount, increment, isAutoBid ? 1 : 0, state.season);
+
+  emitAuctionEvent(io, 'auction:bid', {
+    playerId: state.current_player_id,
+    teamId: teamId,
+    teamName: team.name,
+    teamColor: team.primary_color,
+    amount,
+    increment,
+    isAutoBid: isAutoBid || false,
+    timerEnd: newTimerEnd,
+    queueLength: bidQueue.length
+  });
 
   return { success: true };
 }
@@ -127,14 +464,18 @@ async function checkAutoBids(excludeTeamId, io) {
     const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(teamId);
     if (!team) continue;
 
-    const nextBid = state.current_bid + settings.increment;
+    // Teams may step up by more than the ladder requires, never less
+    const step = Math.max(settings.increment || 0, getMinimumIncrement(state.current_bid));
+    const nextBid = state.current_bid + step;
 
-    if (nextBid <= settings.maxBid && nextBid <= team.budget_remaining) {
+    const maxAllowedBid = getMaxAllowedBid(team, state.season, state.current_player_id);
+
+    if (nextBid <= settings.maxBid && nextBid <= maxAllowedBid) {
       if (!bestBid || nextBid < bestBid.amount || (nextBid === bestBid.amount && teamId < bestBid.teamId)) {
         bestBid = {
           teamId,
           amount: nextBid,
-          increment: settings.increment,
+          increment: step,
           isAutoBid: true
         };
       }
@@ -143,6 +484,7 @@ async function checkAutoBids(excludeTeamId, io) {
 
   if (bestBid) {
     bidQueue.push(bestBid);
+    saveEngineState();
   }
 
   // Continue processing if new bids were added
@@ -151,6 +493,21 @@ async function checkAutoBids(excludeTeamId, io) {
   }
 }
 
+// Public view of an open sealed-bid lot: who has bid, never how much
+function getSealedLotSummary(state, lot) {
+  const teamIds = db.prepare(`
+    SELECT team_id FROM auction_sealed_bids WHERE season = ? AND player_id = ? ORDER BY created_at ASC
+  `).all(state.season, state.current_player_id).map(row => row.team_id);
+
+  return {
+    settlement: lot.settlement,
+    tieBreak: lot.tieBreak,
+    closesAt: lot.closesAt,
+    bidsReceived: teamIds.length,
+    teamsSubmitted: teamIds
+  };
+}
+
 // GET /auction/state - Get current auction/draft state
 router.get('/state', optionalAuth, (req, res) => {
   try {
@@ -178,7 +535,10 @@ router.get('/state', optionalAuth, (req, res) => {
              (SELECT COUNT(*) FROM team_roster tr WHERE tr.team_id = t.id AND tr.season = ?) as player_count
       FROM teams t
       ORDER BY t.name
-    `).all(state.season);
+    `).all(state.season).map(team => ({
+      ...team,
+      max_allowed_bid: getMaxAllowedBid(team, state.season, state.current_player_id)
+    }));
 
     res.json({
       state: {
@@ -191,10 +551,19 @@ router.get('/state', optionalAuth, (req, res) => {
       bidQueue: bidQueue.map(b => ({ teamId: b.teamId, amount: b.amount })),
       autoBidSettings,
       phase: currentPhase,
+      rtmOffer,
+      sealedLot: sealedLot ? getSealedLotSummary(state, sealedLot) : null,
       config: {
         setupPhaseDuration: setupPhaseDuration / 1000,
-        bidIntervalMs: BID_INTERVAL_MS
-      }
+        bidIntervalMs: BID_INTERVAL_MS,
+        hammer: hammerConfig,
+        incrementLadder,
+        rtmWindowDuration: rtmWindowDuration / 1000,
+        autoAdvance,
+        sealed: sealedConfig
+      },
+      rosterRules: getRosterRules(state.season),
+      nextValidBid: getNextValidBid(state)
     });
   } catch (error) {
     console.error('Get Auction State Error:', error);
@@ -203,14 +572,19 @@ router.get('/state', optionalAuth, (req, res) => {
 });
 
 // POST /auction/start - Start auction mode (admin only)
-router.post('/start', authenticateToken, requireAdmin, (req, res) => {
+router.post('/start', authenticateToken, requireAdmin, requireOpenSeason(), (req, res) => {
   try {
-    const { season = 1 } = req.body;
+    const { season = getCurrentSeasonId() } = req.body;
 
     // Reset bid queue and auto-bid settings
     bidQueue = [];
     autoBidSettings = {};
     lastBidTime = 0;
+    currentPhase = 'idle';
+    pausedPhase = null;
+    clearLotTimers();
+    clearAdvanceTimer();
+    saveEngineState();
 
     db.prepare(`
       UPDATE auction_state SET
@@ -219,15 +593,15 @@ router.post('/start', authenticateToken, requireAdmin, (req, res) => {
         current_bid = 0,
         current_bidder_team_id = NULL,
         timer_end = NULL,
+        draft_completed_at = NULL,
         season = ?,
         updated_at = CURRENT_TIMESTAMP
       WHERE id = 1
     `).run(season);
+    advanceSeasonStatus(season, 'auction');
 
     const io = req.app.get('io');
-    if (io) {
-      io.emit('auction:started', { mode: 'auction', season });
-    }
+    emitAuctionEvent(io, 'auction:started', { mode: 'auction', season });
 
     res.json({ message: 'Auction started', mode: 'auction' });
   } catch (error) {
@@ -244,9 +618,11 @@ function startBiddingPhase(io) {
   }
   console.log('[AUCTION] Transitioning to bidding phase');
   currentPhase = 'bidding';
+  phaseTimer = null;
 
-  // Set bidding timer (30 seconds)
-  const timerEnd = new Date(Date.now() + 30 * 1000).toISOString();
+  // Set bidding timer (30 seconds, less for a re-auction lot)
+  const lot = db.prepare('SELECT season, current_player_id FROM auction_state WHERE id = 1').get();
+  const timerEnd = new Date(Date.now() + getLotClock(lot.season, lot.current_player_id).biddingMs).toISOString();
 
   db.prepare(`
     UPDATE auction_state SET
@@ -254,13 +630,13 @@ function startBiddingPhase(io) {
       updated_at = CURRENT_TIMESTAMP
     WHERE id = 1
   `).run(timerEnd);
+  saveEngineState();
+  armBiddingClock(io);
 
-  if (io) {
-    io.emit('auction:bidding-started', {
-      phase: 'bidding',
-      timerEnd
-    });
-  }
+  emitAuctionEvent(io, 'auction:bidding-started', {
+    phase: 'bidding',
+    timerEnd
+  });
 
   // Check if any auto-bids should trigger immediately
   const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
@@ -281,83 +657,220 @@ function triggerInitialAutoBids(state, io) {
     const teamId = parseInt(teamIdStr);
     const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(teamId);
 
-    if (team && state.current_bid <= team.budget_remaining) {
+    if (team && state.current_bid <= getMaxAllowedBid(team, state.season, state.current_player_id)) {
       bidQueue.push({
         teamId,
         amount: state.current_bid,
         increment: 0,
         isAutoBid: true
       });
+      saveEngineState();
       processBidQueue(io);
     }
   }
 }
 
-// POST /auction/next-player - Set next player for auction (admin only)
-router.post('/next-player', authenticateToken, requireAdmin, (req, res) => {
-  try {
-    const { player_id } = req.body;
+// Validate sealed-bid options supplied by an admin; returns an error message or null
+function validateSealedOptions({ settlement, tieBreak, windowSeconds }) {
+  if (settlement !== undefined && !['first_price', 'second_price'].includes(settlement)) {
+    return 'Settlement must be first_price or second_price';
+  }
+  if (tieBreak !== undefined && !['budget', 'earliest'].includes(tieBreak)) {
+    return 'Tie-break must be budget or earliest';
+  }
+  if (windowSeconds !== undefined && (windowSeconds < 10 || windowSeconds > 600)) {
+    return 'Sealed-bid window must be between 10 and 600 seconds';
+  }
+  return null;
+}
 
-    if (!player_id) {
-      return res.status(400).json({ error: 'Player ID is required' });
-    }
+// Put a player up as the current lot and start the setup phase (or the sealed-bid window).
+// basePrice overrides the player's own base price (used by re-auction lots).
+function callUpPlayer(playerId, io, { basePrice = null, format = 'open', sealed = {} } = {}) {
+  const player = db.prepare(`
+    SELECT p.*, u.name, u.photo_url as user_photo
+    FROM players p
+    JOIN users u ON p.user_id = u.id
+    WHERE p.id = ? AND p.is_available = 1
+  `).get(playerId);
+
+  if (!player) {
+    return { success: false, status: 404, error: 'Player not found or not available' };
+  }
 
-    const player = db.prepare(`
-      SELECT p.*, u.name, u.photo_url as user_photo
-      FROM players p
-      JOIN users u ON p.user_id = u.id
-      WHERE p.id = ? AND p.is_available = 1
-    `).get(player_id);
+  if (currentPhase === 'rtm') {
+    return { success: false, status: 409, error: 'Right-to-match decision pending' };
+  }
 
-    if (!player) {
-      return res.status(404).json({ error: 'Player not found or not available' });
-    }
+  const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
 
-    // Clear bid queue and reset auto-bid settings for new player
-    bidQueue = [];
-    autoBidSettings = {};
-    isSoldInProgress = false;
-    if (phaseTimer) {
-      clearTimeout(phaseTimer);
-      phaseTimer = null;
+  // A lot replaced before it closed goes back into the catalogue
+  if (state.current_player_id && state.current_player_id !== player.id) {
+    const previousLot = getLotForPlayer(state.season, state.current_player_id);
+    if (previousLot && previousLot.status === 'called') {
+      setLotStatus(state.season, state.current_player_id, 'pending');
     }
+  }
+
+  const baseBid = basePrice || player.base_price;
 
-    // Start setup phase (configurable duration for teams to set auto-bid)
-    currentPhase = 'setup';
-    const setupEndTime = new Date(Date.now() + setupPhaseDuration).toISOString();
+  // Clear bid queue and reset auto-bid settings for new player
+  bidQueue = [];
+  autoBidSettings = {};
+  isSoldInProgress = false;
+  sealedLot = null;
+  clearLotTimers();
 
+  if (format === 'sealed') {
     db.prepare(`
       UPDATE auction_state SET
         current_player_id = ?,
         current_bid = ?,
         current_bidder_team_id = NULL,
-        timer_end = ?,
         updated_at = CURRENT_TIMESTAMP
       WHERE id = 1
-    `).run(player_id, player.base_price, setupEndTime);
+    `).run(player.id, baseBid);
+
+    // Bids from an earlier call-up of this player don't carry over
+    db.prepare('DELETE FROM auction_sealed_bids WHERE season = ? AND player_id = ?').run(state.season, player.id);
+    setLotStatus(state.season, player.id, 'called');
+    pausedPhase = null;
+
+    const closesAt = startSealedPhase(io, { ...sealedConfig, ...sealed });
+    const lot = getLotForPlayer(state.season, player.id);
+
+    emitAuctionEvent(io, 'auction:player', {
+      player,
+      baseBid,
+      lot,
+      format: 'sealed',
+      phase: 'sealed',
+      settlement: sealedLot.settlement,
+      tieBreak: sealedLot.tieBreak,
+      closesAt
+    });
+
+    return { success: true, player, baseBid, lot, format: 'sealed', phase: 'sealed', closesAt };
+  }
+
+  // Start setup phase (configurable duration for teams to set auto-bid)
+  currentPhase = 'setup';
+  pausedPhase = null;
+  const { setupMs } = getLotClock(state.season, player.id);
+  const setupEndTime = new Date(Date.now() + setupMs).toISOString();
+
+  db.prepare(`
+    UPDATE auction_state SET
+      current_player_id = ?,
+      current_bid = ?,
+      current_bidder_team_id = NULL,
+      timer_end = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = 1
+  `).run(player.id, baseBid, setupEndTime);
+  setLotStatus(state.season, player.id, 'called');
+  saveEngineState();
+
+  const lot = getLotForPlayer(state.season, player.id);
+
+  emitAuctionEvent(io, 'auction:player', {
+    player,
+    baseBid,
+    lot,
+    phase: 'setup',
+    setupEndTime,
+    setupDuration: setupMs / 1000
+  });
+
+  // Schedule transition to bidding phase
+  phaseTimer = setTimeout(() => {
+    startBiddingPhase(io);
+  }, setupMs);
+
+  return { success: true, player, baseBid, lot, format: 'open', phase: 'setup', setupEndTime };
+}
+
+// Call up the next lot from the season's catalogue
+function callUpNextLot(io) {
+  const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+  const lot = getNextLot(state.season);
+
+  if (!lot) {
+    return { success: false, status: 404, error: 'Auction catalogue exhausted', exhausted: true };
+  }
+
+  return callUpPlayer(lot.player_id, io, { basePrice: lot.lot_base_price, format: lot.lot_format });
+}
+
+function clearAdvanceTimer() {
+  if (advanceTimer) {
+    clearTimeout(advanceTimer);
+    advanceTimer = null;
+  }
+}
+
+// After a lot closes, call up the next one if auto-advance is on
+function scheduleAutoAdvance(io) {
+  clearAdvanceTimer();
+  if (!autoAdvance.enabled) return;
+
+  advanceTimer = setTimeout(() => {
+    advanceTimer = null;
+
+    try {
+      const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+      if (state.mode !== 'auction' || state.current_player_id || currentPhase !== 'idle') return;
+
+      const result = callUpNextLot(io);
+      if (!result.success && result.exhausted) {
+        emitAuctionEvent(io, 'auction:catalogue-complete', { season: state.season });
+      }
+    } catch (error) {
+      pauseLotAfterError(io, 'Auto-advance', error);
+    }
+  }, autoAdvance.delaySeconds * 1000);
+}
 
+// POST /auction/next-player - Set next player for auction (admin only)
+// Without a player_id the next lot is taken from the season's catalogue
+router.post('/next-player', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { player_id, format = 'open', settlement, tie_break, window_seconds } = req.body;
     const io = req.app.get('io');
-    if (io) {
-      io.emit('auction:player', {
-        player,
-        baseBid: player.base_price,
-        phase: 'setup',
-        setupEndTime,
-        setupDuration: setupPhaseDuration / 1000
-      });
+
+    if (!['open', 'sealed'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be open or sealed' });
     }
 
-    // Schedule transition to bidding phase
-    phaseTimer = setTimeout(() => {
-      startBiddingPhase(io);
-    }, setupPhaseDuration);
+    const sealedError = validateSealedOptions({ settlement, tieBreak: tie_break, windowSeconds: window_seconds });
+    if (sealedError) {
+      return res.status(400).json({ error: sealedError });
+    }
+
+    clearAdvanceTimer();
+
+    const sealed = {};
+    if (settlement) sealed.settlement = settlement;
+    if (tie_break) sealed.tieBreak = tie_break;
+    if (window_seconds) sealed.windowSeconds = window_seconds;
+
+    const result = player_id ? callUpPlayer(player_id, io, { format, sealed }) : callUpNextLot(io);
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
 
     res.json({
-      message: 'Player set for auction - setup phase started',
-      player,
-      baseBid: player.base_price,
-      phase: 'setup',
-      setupEndTime
+      message: result.format === 'sealed'
+        ? 'Player set for sealed-bid auction'
+        : 'Player set for auction - setup phase started',
+      player: result.player,
+      baseBid: result.baseBid,
+      lot: result.lot,
+      format: result.format,
+      phase: result.phase,
+      setupEndTime: result.setupEndTime,
+      closesAt: result.closesAt
     });
   } catch (error) {
     console.error('Next Player Error:', error);
@@ -382,7 +895,7 @@ function hasBiddingAuthority(team, userId, userRole) {
 // POST /auction/bid - Place a bid (queued with 3-second intervals)
 router.post('/bid', authenticateToken, (req, res) => {
   try {
-    const { team_id, amount, increment } = req.body;
+    const { team_id, amount } = req.body;
 
     if (!team_id || !amount) {
       return res.status(400).json({ error: 'Team ID and amount are required' });
@@ -402,6 +915,14 @@ router.post('/bid', authenticateToken, (req, res) => {
       return res.status(400).json({ error: 'Still in setup phase - set your auto-bid target instead' });
     }
 
+    if (currentPhase === 'rtm') {
+      return res.status(400).json({ error: 'Bidding closed - right-to-match decision pending' });
+    }
+
+    if (currentPhase === 'sealed') {
+      return res.status(400).json({ error: 'Sealed-bid lot - submit a sealed bid instead' });
+    }
+
     // Check permission
     const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(team_id);
     if (!team) {
@@ -412,35 +933,40 @@ router.post('/bid', authenticateToken, (req, res) => {
       return res.status(403).json({ error: 'You do not have bidding authority for this team' });
     }
 
-    // Check if bid is higher than current
-    if (amount <= state.current_bid) {
-      return res.status(400).json({ error: 'Bid must be higher than current bid' });
+    // Check bid meets the increment ladder
+    const nextValidBid = getNextValidBid(state);
+    if (amount < nextValidBid) {
+      return res.status(400).json({ error: `Bid must be at least ${nextValidBid}`, nextValidBid });
     }
 
-    // Check team budget
-    if (amount > team.budget_remaining) {
-      return res.status(400).json({ error: 'Insufficient budget' });
+    // Check team can still afford to complete a legal squad after this bid
+    const maxAllowedBid = getMaxAllowedBid(team, state.season, state.current_player_id);
+    if (amount > maxAllowedBid) {
+      return res.status(400).json({
+        error: 'Bid would leave the team unable to fill its minimum squad',
+        maxAllowedBid
+      });
     }
 
     // Add to bid queue
     bidQueue.push({
       teamId: team_id,
       amount,
-      increment: increment || (amount - state.current_bid),
+      increment: amount - state.current_bid,
       isAutoBid: false
     });
+    saveEngineState();
 
     // Emit queue update
     const io = req.app.get('io');
-    if (io) {
-      io.emit('auction:bid-queued', {
-        teamId: team_id,
-        teamName: team.name,
-        amount,
-        queuePosition: bidQueue.length,
-        queueLength: bidQueue.length
-      });
-    }
+    emitAuctionEvent(io, 'auction:bid-queued', {
+      playerId: state.current_player_id,
+      teamId: team_id,
+      teamName: team.name,
+      amount,
+      queuePosition: bidQueue.length,
+      queueLength: bidQueue.length
+    });
 
     // Start processing queue
     processBidQueue(io);
@@ -456,16 +982,21 @@ router.post('/bid', authenticateToken, (req, res) => {
   }
 });
 
-// POST /auction/auto-bid - Set auto-bid settings for a team
-router.post('/auto-bid', authenticateToken, (req, res) => {
+// POST /auction/sealed-bid - Submit a team's single hidden bid on a sealed-bid lot
+router.post('/sealed-bid', authenticateToken, (req, res) => {
   try {
-    const { team_id, max_bid, increment, active } = req.body;
+    const { team_id, amount } = req.body;
 
-    if (!team_id) {
-      return res.status(400).json({ error: 'Team ID is required' });
+    if (!team_id || !amount) {
+      return res.status(400).json({ error: 'Team ID and amount are required' });
     }
 
-    // Check permission
+    if (currentPhase !== 'sealed' || !sealedLot) {
+      return res.status(400).json({ error: 'No sealed-bid lot open' });
+    }
+
+    const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+
     const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(team_id);
     if (!team) {
       return res.status(404).json({ error: 'Team not found' });
@@ -475,47 +1006,136 @@ router.post('/auto-bid', authenticateToken, (req, res) => {
       return res.status(403).json({ error: 'You do not have bidding authority for this team' });
     }
 
-    if (active === false) {
-      // Disable auto-bid
-      delete autoBidSettings[team_id];
-    } else {
-      // Set or update auto-bid
-      if (!max_bid || !increment) {
-        return res.status(400).json({ error: 'Max bid and increment are required' });
-      }
+    if (amount < state.current_bid) {
+      return res.status(400).json({ error: `Bid must be at least the base price of ${state.current_bid}` });
+    }
 
-      if (max_bid > team.budget_remaining) {
-        return res.status(400).json({ error: 'Max bid exceeds budget' });
-      }
+    const maxAllowedBid = getMaxAllowedBid(team, state.season, state.current_player_id);
+    if (amount > maxAllowedBid) {
+      return res.status(400).json({
+        error: 'Bid would leave the team unable to fill its minimum squad',
+        maxAllowedBid
+      });
+    }
 
-      autoBidSettings[team_id] = {
-        maxBid: max_bid,
-        increment: increment,
-        active: true
-      };
+    const existing = db.prepare(`
+      SELECT 1 FROM auction_sealed_bids WHERE season = ? AND player_id = ? AND team_id = ?
+    `).get(state.season, state.current_player_id, team_id);
+
+    if (existing) {
+      return res.status(409).json({ error: 'This team has already submitted its sealed bid' });
     }
 
+    db.prepare(`
+      INSERT INTO auction_sealed_bids (season, player_id, team_id, amount) VALUES (?, ?, ?, ?)
+    `).run(state.season, state.current_player_id, team_id, amount);
+
+    const { count } = db.prepare(`
+      SELECT COUNT(*) as count FROM auction_sealed_bids WHERE season = ? AND player_id = ?
+    `).get(state.season, state.current_player_id);
+
+    // Only the fact that a team has bid goes out - never the amount
     const io = req.app.get('io');
-    if (io) {
-      io.emit('auction:auto-bid-updated', {
-        teamId: team_id,
-        teamName: team.name,
-        settings: autoBidSettings[team_id] || null
-      });
+    emitAuctionEvent(io, 'auction:sealed-bid-received', {
+      playerId: state.current_player_id,
+      teamId: team.id,
+      teamName: team.name,
+      bidsReceived: count
+    });
+
+    res.json({ message: 'Sealed bid received', bidsReceived: count });
+  } catch (error) {
+    console.error('Sealed Bid Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /auction/sealed/close - Close the sealed-bid window early and reveal (admin only)
+router.post('/sealed/close', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const result = closeSealedLot(req.app.get('io'));
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    if (result.rtmPending) {
+      return res.json({ message: 'Sealed bids revealed - right-to-match window opened', offer: result.offer });
     }
 
     res.json({
-      message: active === false ? 'Auto-bid disabled' : 'Auto-bid settings updated',
-      settings: autoBidSettings[team_id] || null
+      message: result.team ? 'Sealed bids revealed - player sold' : 'Sealed bids revealed - no valid bids, player unsold',
+      player: result.player,
+      team: result.team || null,
+      price: result.price || null
     });
   } catch (error) {
-    console.error('Auto-bid Error:', error);
+    console.error('Close Sealed Lot Error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// GET /auction/auto-bid/:team_id - Get auto-bid settings for a team
-router.get('/auto-bid/:team_id', authenticateToken, (req, res) => {
+// POST /auction/auto-bid - Set auto-bid settings for a team
+router.post('/auto-bid', authenticateToken, (req, res) => {
+  try {
+    const { team_id, max_bid, increment, active } = req.body;
+
+    if (!team_id) {
+      return res.status(400).json({ error: 'Team ID is required' });
+    }
+
+    // Check permission
+    const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(team_id);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    if (!hasBiddingAuthority(team, req.user.id, req.user.role)) {
+      return res.status(403).json({ error: 'You do not have bidding authority for this team' });
+    }
+
+    if (active === false) {
+      // Disable auto-bid
+      delete autoBidSettings[team_id];
+    } else {
+      // Set or update auto-bid (without an increment the team follows the ladder)
+      if (!max_bid) {
+        return res.status(400).json({ error: 'Max bid is required' });
+      }
+
+      const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+      const maxAllowedBid = getMaxAllowedBid(team, state.season, state.current_player_id);
+      if (max_bid > maxAllowedBid) {
+        return res.status(400).json({ error: 'Max bid exceeds max allowed bid', maxAllowedBid });
+      }
+
+      autoBidSettings[team_id] = {
+        maxBid: max_bid,
+        increment: increment || null,
+        active: true
+      };
+    }
+    saveEngineState();
+
+    const io = req.app.get('io');
+    emitAuctionEvent(io, 'auction:auto-bid-updated', {
+      teamId: team_id,
+      teamName: team.name,
+      settings: autoBidSettings[team_id] || null
+    });
+
+    res.json({
+      message: active === false ? 'Auto-bid disabled' : 'Auto-bid settings updated',
+      settings: autoBidSettings[team_id] || null
+    });
+  } catch (error) {
+    console.error('Auto-bid Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /auction/auto-bid/:team_id - Get auto-bid settings for a team
+router.get('/auto-bid/:team_id', authenticateToken, (req, res) => {
   try {
     const { team_id } = req.params;
     res.json({ settings: autoBidSettings[team_id] || null });
@@ -545,141 +1165,884 @@ router.get('/queue', optionalAuth, (req, res) => {
       isProcessing: isProcessingBids
     });
   } catch (error) {
-    console.error('Get Queue Error:', error);
+    console.error('Get Queue Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Stop the phase timer and auction clock for the current lot
+function clearLotTimers() {
+  if (phaseTimer) {
+    clearTimeout(phaseTimer);
+    phaseTimer = null;
+  }
+  clearBiddingClock();
+}
+
+// Open a sealed-bid window on the current lot; bids stay hidden until it closes
+function startSealedPhase(io, options) {
+  const closesAt = new Date(Date.now() + options.windowSeconds * 1000).toISOString();
+
+  currentPhase = 'sealed';
+  sealedLot = {
+    settlement: options.settlement,
+    tieBreak: options.tieBreak,
+    windowSeconds: options.windowSeconds,
+    closesAt
+  };
+
+  db.prepare(`
+    UPDATE auction_state SET timer_end = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1
+  `).run(closesAt);
+  saveEngineState();
+  armSealedTimer(io);
+
+  return closesAt;
+}
+
+function armSealedTimer(io) {
+  if (phaseTimer) {
+    clearTimeout(phaseTimer);
+  }
+  const msLeft = new Date(sealedLot.closesAt).getTime() - Date.now();
+  phaseTimer = setTimeout(() => {
+    phaseTimer = null;
+    try {
+      closeSealedLot(io);
+    } catch (error) {
+      pauseLotAfterError(io, 'Sealed-bid close', error);
+    }
+  }, Math.max(msLeft, 0));
+}
+
+// Pick the winning sealed bid. Highest amount wins; ties go to the larger remaining
+// budget ('budget') or straight to the earliest submission ('earliest'), then lowest team id.
+function rankSealedBids(bids, tieBreak) {
+  return [...bids].sort((a, b) => {
+    if (b.amount !== a.amount) return b.amount - a.amount;
+    if (tieBreak === 'budget' && b.budget_remaining !== a.budget_remaining) {
+      return b.budget_remaining - a.budget_remaining;
+    }
+    if (a.created_at !== b.created_at) return a.created_at < b.created_at ? -1 : 1;
+    return a.team_id - b.team_id;
+  });
+}
+
+// Price bids[index] pays: its own bid, or under second-price the next bid down (never less than the base price)
+function getSealedPrice(bids, index, settlement, basePrice) {
+  if (settlement === 'first_price') return bids[index].amount;
+  return Math.max(bids[index + 1] ? bids[index + 1].amount : 0, basePrice);
+}
+
+// Reveal: bids become part of the public auction log
+const revealSealedBids = db.transaction((state, bids) => {
+  const logBid = db.prepare(`
+    INSERT INTO auction_log (player_id, team_id, bid_amount, event_type, season)
+    VALUES (?, ?, ?, 'sealed_bid', ?)
+  `);
+  bids.forEach(bid => logBid.run(state.current_player_id, bid.team_id, bid.amount, state.season));
+});
+
+// Close a sealed lot: reveal every bid, settle at first or second price, then sell.
+// A bidder that can no longer take the player at its price drops out and the next bid in rank wins.
+function closeSealedLot(io) {
+  if (currentPhase !== 'sealed' || !sealedLot) {
+    return { success: false, status: 400, error: 'No sealed-bid lot open' };
+  }
+
+  if (phaseTimer) {
+    clearTimeout(phaseTimer);
+    phaseTimer = null;
+  }
+
+  const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+  const lot = sealedLot;
+
+  const bids = rankSealedBids(db.prepare(`
+    SELECT sb.*, t.name as team_name, t.budget_remaining
+    FROM auction_sealed_bids sb
+    JOIN teams t ON sb.team_id = t.id
+    WHERE sb.season = ? AND sb.player_id = ?
+  `).all(state.season, state.current_player_id), lot.tieBreak);
+
+  revealSealedBids(state, bids);
+
+  sealedLot = null;
+  currentPhase = 'bidding';
+  saveEngineState();
+
+  // Bids the roster rules still allow, in rank order, each with the price it would pay
+  const candidates = bids
+    .map((bid, index) => ({ bid, price: getSealedPrice(bids, index, lot.settlement, state.current_bid) }))
+    .filter(({ bid, price }) => {
+      const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(bid.team_id);
+      return price <= getMaxAllowedBid(team, state.season, state.current_player_id);
+    });
+
+  const winner = candidates[0] || null;
+
+  emitAuctionEvent(io, 'auction:sealed-revealed', {
+    playerId: state.current_player_id,
+    settlement: lot.settlement,
+    tieBreak: lot.tieBreak,
+    bids: bids.map(bid => ({
+      teamId: bid.team_id,
+      teamName: bid.team_name,
+      amount: bid.amount,
+      submittedAt: bid.created_at
+    })),
+    winnerTeamId: winner ? winner.bid.team_id : null,
+    price: winner ? winner.price : null
+  });
+
+  for (const { bid, price } of candidates) {
+    db.prepare(`
+      UPDATE auction_state SET current_bid = ?, current_bidder_team_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = 1
+    `).run(price, bid.team_id);
+
+    const result = sellCurrentPlayer(io, { auto: true });
+    if (result.success || !(result.status === 400 || result.code)) {
+      return result;
+    }
+
+    console.error(`[AUCTION] Sealed-bid sale to team ${bid.team_id} failed: ${result.error}`);
+    emitAuctionEvent(io, 'auction:sealed-skipped', {
+      playerId: state.current_player_id,
+      teamId: bid.team_id,
+      amount: bid.amount,
+      price,
+      error: result.error
+    });
+  }
+
+  return markCurrentPlayerUnsold(io, { auto: true });
+}
+
+// Sell the current player to the highest bidder (shared by POST /sold and the auction clock).
+// If another team holds a right-to-match card for the player, a match window opens instead.
+function sellCurrentPlayer(io, { auto = false } = {}) {
+  // Prevent double-sold race condition
+  if (isSoldInProgress) {
+    return { success: false, status: 409, error: 'Sale already in progress' };
+  }
+
+  if (currentPhase === 'rtm') {
+    return { success: false, status: 409, error: 'Right-to-match decision pending' };
+  }
+
+  if (currentPhase === 'sealed' || (currentPhase === 'paused' && pausedPhase === 'sealed')) {
+    return { success: false, status: 409, error: 'Sealed bids have not been revealed yet' };
+  }
+
+  isSoldInProgress = true;
+
+  try {
+    const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+
+    if (!state.current_player_id || !state.current_bidder_team_id) {
+      // Clear bid queue and phase
+      bidQueue = [];
+      currentPhase = 'idle';
+      clearLotTimers();
+      saveEngineState();
+      return { success: false, status: 400, error: 'No active bid to complete' };
+    }
+
+    const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(state.current_bidder_team_id);
+
+    // Re-check roster rules - other sales may have changed what this team can afford
+    const maxAllowedBid = getMaxAllowedBid(team, state.season, state.current_player_id);
+    if (state.current_bid > maxAllowedBid) {
+      return {
+        success: false,
+        status: 400,
+        error: 'Sale would leave the team unable to fill its minimum squad',
+        maxAllowedBid
+      };
+    }
+
+    // Clear bid queue and phase
+    const previousPhase = currentPhase;
+    const previousQueue = bidQueue;
+    bidQueue = [];
+    currentPhase = 'idle';
+    clearLotTimers();
+
+    const offer = openRtmWindow(state, io);
+    if (offer) {
+      return { success: true, rtmPending: true, offer };
+    }
+
+    const result = completeSale(state, state.current_bidder_team_id, state.current_bid, io, { auto });
+
+    // The ledger refused the sale - the lot stays open as it was, clocks included
+    if (!result.success) {
+      bidQueue = previousQueue;
+      currentPhase = previousPhase;
+      saveEngineState();
+
+      if (currentPhase === 'setup') {
+        phaseTimer = setTimeout(() => {
+          startBiddingPhase(io);
+        }, Math.max(new Date(state.timer_end).getTime() - Date.now(), 0));
+      } else {
+        armBiddingClock(io);
+      }
+    }
+
+    return result;
+  } finally {
+    isSoldInProgress = false;
+  }
+}
+
+// Write a completed sale in one transaction: roster, budget, availability, winning bid and cleared lot
+// settleRtm writes the card's outcome, so a refused sale leaves the card unspent
+const recordSale = db.transaction((state, teamId, price, viaRtm, settleRtm) => {
+  if (settleRtm) {
+    settleRtm();
+  }
+
+  addToRoster({
+    teamId,
+    playerId: state.current_player_id,
+    season: state.season,
+    acquisitionType: 'auction',
+    price
+  });
+  setLotStatus(state.season, state.current_player_id, 'sold');
+
+  // Mark winning bid in auction log (a matched price gets its own winning row)
+  if (viaRtm) {
+    db.prepare(`
+      INSERT INTO auction_log (player_id, team_id, bid_amount, event_type, is_winning_bid, season)
+      VALUES (?, ?, ?, 'rtm_match', 1, ?)
+    `).run(state.current_player_id, teamId, price, state.season);
+  } else {
+    // A second-price sealed winner pays less than it bid, so its sealed bid matches on team alone.
+    // Only the team's latest entry counts - earlier call-ups of the player left their own bids behind.
+    db.prepare(`
+      UPDATE auction_log SET is_winning_bid = 1
+      WHERE id = (
+        SELECT MAX(id) FROM auction_log
+        WHERE player_id = ? AND team_id = ? AND season = ?
+          AND ((event_type = 'bid' AND bid_amount = ?) OR event_type = 'sealed_bid')
+      )
+    `).run(state.current_player_id, teamId, state.season, price);
+  }
+
+  // Clear current auction
+  db.prepare(`
+    UPDATE auction_state SET
+      current_player_id = NULL,
+      current_bid = 0,
+      current_bidder_team_id = NULL,
+      timer_end = NULL,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = 1
+  `).run();
+});
+
+// Complete a sale to teamId at price, then reset the engine for the next lot
+function completeSale(state, teamId, price, io, { auto = false, viaRtm = false, settleRtm = null } = {}) {
+  const player = db.prepare(`
+    SELECT p.*, u.name FROM players p JOIN users u ON p.user_id = u.id WHERE p.id = ?
+  `).get(state.current_player_id);
+
+  try {
+    recordSale(state, teamId, price, viaRtm, settleRtm);
+  } catch (error) {
+    if (error instanceof RosterLedgerError) {
+      return { success: false, status: error.status, error: error.message, code: error.code, details: error.details };
+    }
+    throw error;
+  }
+
+  const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(teamId);
+
+  // Reset auto-bid settings for next player
+  autoBidSettings = {};
+  rtmOffer = null;
+  currentPhase = 'idle';
+  saveEngineState();
+
+  emitAuctionEvent(io, 'auction:sold', {
+    player,
+    team,
+    price,
+    auto,
+    viaRtm
+  });
+
+  scheduleAutoAdvance(io);
+
+  return { success: true, player, team, price, viaRtm };
+}
+
+// Offer the player's previous team a right-to-match window if it holds a card.
+// Returns the offer, or null when the sale should go straight through.
+function openRtmWindow(state, io) {
+  const card = db.prepare(`
+    SELECT * FROM rtm_cards
+    WHERE season = ? AND player_id = ? AND status = 'available' AND team_id != ?
+  `).get(state.season, state.current_player_id, state.current_bidder_team_id);
+
+  if (!card) return null;
+
+  // A card is no use if matching would break the holder's roster rules
+  const rtmTeam = db.prepare('SELECT * FROM teams WHERE id = ?').get(card.team_id);
+  if (state.current_bid > getMaxAllowedBid(rtmTeam, state.season, state.current_player_id)) {
+    return null;
+  }
+
+  const expiresAt = new Date(Date.now() + rtmWindowDuration).toISOString();
+
+  rtmOffer = {
+    cardId: card.id,
+    playerId: state.current_player_id,
+    teamId: card.team_id,
+    winningTeamId: state.current_bidder_team_id,
+    price: state.current_bid,
+    expiresAt
+  };
+  currentPhase = 'rtm';
+
+  db.prepare("UPDATE rtm_cards SET status = 'offered' WHERE id = ?").run(card.id);
+  db.prepare('UPDATE auction_state SET timer_end = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1').run(expiresAt);
+  db.prepare(`
+    INSERT INTO auction_log (player_id, team_id, bid_amount, event_type, season)
+    VALUES (?, ?, ?, 'rtm_offer', ?)
+  `).run(state.current_player_id, card.team_id, state.current_bid, state.season);
+
+  saveEngineState();
+  armRtmTimer(io);
+
+  emitAuctionEvent(io, 'auction:rtm-offer', {
+    ...rtmOffer,
+    teamName: rtmTeam.name
+  });
+
+  return rtmOffer;
+}
+
+function armRtmTimer(io) {
+  if (phaseTimer) {
+    clearTimeout(phaseTimer);
+  }
+  const msLeft = new Date(rtmOffer.expiresAt).getTime() - Date.now();
+  phaseTimer = setTimeout(() => {
+    phaseTimer = null;
+    try {
+      resolveRtmOffer(false, io, { reason: 'expired' });
+    } catch (error) {
+      pauseLotAfterError(io, 'Right-to-match expiry', error);
+    }
+  }, Math.max(msLeft, 0));
+}
+
+// Settle an open right-to-match offer: matched goes to the card holder, otherwise to the winning bidder
+function resolveRtmOffer(matched, io, { reason = matched ? 'matched' : 'declined' } = {}) {
+  if (currentPhase !== 'rtm' || !rtmOffer) {
+    return { success: false, status: 400, error: 'No right-to-match offer pending' };
+  }
+
+  if (phaseTimer) {
+    clearTimeout(phaseTimer);
+    phaseTimer = null;
+  }
+
+  const offer = rtmOffer;
+  const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+
+  const settleRtm = () => {
+    if (matched) {
+      db.prepare("UPDATE rtm_cards SET status = 'used', resolved_at = CURRENT_TIMESTAMP WHERE id = ?").run(offer.cardId);
+    } else {
+      db.prepare('UPDATE rtm_cards SET status = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ?')
+        .run(reason === 'expired' ? 'expired' : 'declined', offer.cardId);
+      db.prepare(`
+        INSERT INTO auction_log (player_id, team_id, bid_amount, event_type, season)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(offer.playerId, offer.teamId, offer.price, reason === 'expired' ? 'rtm_expired' : 'rtm_declined', state.season);
+    }
+  };
+
+  const result = completeSale(state, matched ? offer.teamId : offer.winningTeamId, offer.price, io, {
+    viaRtm: matched,
+    settleRtm
+  });
+
+  // The ledger refused the sale: nothing was written, so pause the lot with the card back in hand
+  if (!result.success) {
+    pauseLotAfterError(io, 'Right-to-match sale', result.error);
+    return result;
+  }
+
+  emitAuctionEvent(io, matched ? 'auction:rtm-matched' : `auction:rtm-${reason}`, offer);
+
+  return result;
+}
+
+// Close the current lot without a sale (shared by POST /unsold and the auction clock)
+function markCurrentPlayerUnsold(io, { auto = false } = {}) {
+  if (currentPhase === 'rtm') {
+    return { success: false, status: 409, error: 'Right-to-match decision pending' };
+  }
+
+  // Clear bid queue and phase
+  bidQueue = [];
+  currentPhase = 'idle';
+  sealedLot = null;
+  clearLotTimers();
+
+  const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+
+  if (!state.current_player_id) {
+    saveEngineState();
+    return { success: false, status: 400, error: 'No player being auctioned' };
+  }
+
+  const player = db.prepare(`
+    SELECT p.*, u.name FROM players p JOIN users u ON p.user_id = u.id WHERE p.id = ?
+  `).get(state.current_player_id);
+
+  setLotStatus(state.season, state.current_player_id, 'unsold');
+
+  // Clear current auction
+  db.prepare(`
+    UPDATE auction_state SET
+      current_player_id = NULL,
+      current_bid = 0,
+      current_bidder_team_id = NULL,
+      timer_end = NULL,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = 1
+  `).run();
+
+  // Reset auto-bid settings
+  autoBidSettings = {};
+  saveEngineState();
+
+  emitAuctionEvent(io, 'auction:unsold', { player, auto });
+
+  scheduleAutoAdvance(io);
+
+  return { success: true, player };
+}
+
+// POST /auction/sold - Mark player as sold (admin only)
+router.post('/sold', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const result = sellCurrentPlayer(req.app.get('io'));
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code,
+        details: result.details,
+        maxAllowedBid: result.maxAllowedBid
+      });
+    }
+
+    if (result.rtmPending) {
+      return res.json({ message: 'Right-to-match window opened', offer: result.offer });
+    }
+
+    res.json({
+      message: 'Player sold',
+      player: result.player,
+      team: result.team,
+      price: result.price
+    });
+  } catch (error) {
+    console.error('Sold Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /auction/unsold - Mark player as unsold (admin only)
+router.post('/unsold', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const result = markCurrentPlayerUnsold(req.app.get('io'));
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Player marked as unsold', player: result.player });
+  } catch (error) {
+    console.error('Unsold Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Undo a completed sale atomically: roster, budget, availability, winning bid, RTM card and lot status
+const reverseSale = db.transaction((sale, roster, { reason, restoreLot, userId }) => {
+  removeFromRoster({ teamId: roster.team_id, playerId: sale.player_id, season: sale.season });
+  db.prepare(`
+    UPDATE auction_log SET is_winning_bid = 0 WHERE player_id = ? AND season = ? AND is_winning_bid = 1
+  `).run(sale.player_id, sale.season);
+
+  // A right-to-match card resolved by this sale can be played again
+  db.prepare(`
+    UPDATE rtm_cards SET status = 'available', resolved_at = NULL
+    WHERE season = ? AND player_id = ? AND status IN ('used', 'declined', 'expired')
+  `).run(sale.season, sale.player_id);
+
+  setLotStatus(sale.season, sale.player_id, restoreLot ? 'called' : 'pending');
+
+  // Back on the block at the reversed price and bidder
+  if (restoreLot) {
+    db.prepare(`
+      UPDATE auction_state SET
+        current_player_id = ?,
+        current_bid = ?,
+        current_bidder_team_id = ?,
+        timer_end = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = 1
+    `).run(sale.player_id, roster.price, roster.team_id);
+  }
+
+  return db.prepare(`
+    INSERT INTO auction_sale_reversals (season, auction_log_id, player_id, team_id, price, reason, restored_lot, reversed_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(sale.season, sale.id, sale.player_id, roster.team_id, roster.price, reason, restoreLot ? 1 : 0, userId).lastInsertRowid;
+});
+
+// POST /auction/sales/:id/reverse - Reverse a completed sale by its winning auction_log entry (admin only)
+// With restore_lot the player goes back on the block, paused at the reversed price and bidder
+router.post('/sales/:id/reverse', authenticateToken, requireAdmin, requireOpenSeason(saleSeason), (req, res) => {
+  try {
+    const { reason, restore_lot = false } = req.body;
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required to reverse a sale' });
+    }
+
+    const sale = db.prepare('SELECT * FROM auction_log WHERE id = ? AND is_winning_bid = 1').get(req.params.id);
+    if (!sale) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    const roster = db.prepare(`
+      SELECT * FROM team_roster
+      WHERE team_id = ? AND player_id = ? AND season = ? AND acquisition_type = 'auction'
+    `).get(sale.team_id, sale.player_id, sale.season);
+
+    if (!roster) {
+      return res.status(409).json({ error: 'Player is no longer on the buying team\'s roster' });
+    }
+
+    const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+
+    if (restore_lot) {
+      if (state.mode !== 'auction' || state.season !== sale.season) {
+        return res.status(400).json({ error: 'The auction for this season is not running' });
+      }
+      if (state.current_player_id || currentPhase !== 'idle') {
+        return res.status(409).json({ error: 'Another lot is in progress' });
+      }
+    }
+
+    const reversalId = reverseSale(sale, roster, {
+      reason: reason.trim(),
+      restoreLot: !!restore_lot,
+      userId: req.user.id
+    });
+
+    if (restore_lot) {
+      clearAdvanceTimer();
+      clearLotTimers();
+      bidQueue = [];
+      autoBidSettings = {};
+      sealedLot = null;
+      currentPhase = 'paused';
+      pausedPhase = 'bidding';
+      saveEngineState();
+    }
+
+    const player = db.prepare(`
+      SELECT p.*, u.name FROM players p JOIN users u ON p.user_id = u.id WHERE p.id = ?
+    `).get(sale.player_id);
+    const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(roster.team_id);
+
+    const reversal = {
+      reversalId,
+      saleId: sale.id,
+      playerId: sale.player_id,
+      player,
+      team,
+      price: roster.price,
+      reason: reason.trim(),
+      restoredLot: !!restore_lot,
+      phase: currentPhase
+    };
+
+    const io = req.app.get('io');
+    emitAuctionEvent(io, 'auction:sale-reversed', reversal);
+
+    res.json({ message: 'Sale reversed', ...reversal });
+  } catch (error) {
+    if (error instanceof RosterLedgerError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Reverse Sale Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /auction/rtm-cards - List right-to-match cards for a season
+router.get('/rtm-cards', optionalAuth, (req, res) => {
+  try {
+    const { season = getCurrentSeasonId(), team_id } = req.query;
+
+    let query = `
+      SELECT rc.*, u.name as player_name, t.name as team_name
+      FROM rtm_cards rc
+      JOIN players p ON rc.player_id = p.id
+      JOIN users u ON p.user_id = u.id
+      JOIN teams t ON rc.team_id = t.id
+      WHERE rc.season = ?
+    `;
+    const params = [season];
+
+    if (team_id) {
+      query += ' AND rc.team_id = ?';
+      params.push(team_id);
+    }
+
+    query += ' ORDER BY t.name, u.name';
+
+    res.json({ cards: db.prepare(query).all(...params) });
+  } catch (error) {
+    console.error('Get RTM Cards Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /auction/rtm-cards - Grant a team a right-to-match card for a former player (admin only)
+router.post('/rtm-cards', authenticateToken, requireAdmin, requireOpenSeason(), (req, res) => {
+  try {
+    const { season = getCurrentSeasonId(), team_id, player_id } = req.body;
+
+    if (!team_id || !player_id) {
+      return res.status(400).json({ error: 'Team ID and player ID are required' });
+    }
+
+    // Only players who were on this team's roster last season qualify
+    const previousRoster = db.prepare(
+      'SELECT 1 FROM team_roster WHERE team_id = ? AND player_id = ? AND season = ?'
+    ).get(team_id, player_id, season - 1);
+
+    if (!previousRoster) {
+      return res.status(400).json({ error: 'Player was not on this team in the previous season' });
+    }
+
+    const existing = db.prepare('SELECT * FROM rtm_cards WHERE season = ? AND player_id = ?').get(season, player_id);
+    if (existing) {
+      return res.status(400).json({ error: 'A right-to-match card already exists for this player' });
+    }
+
+    const result = db.prepare(`
+      INSERT INTO rtm_cards (season, team_id, player_id) VALUES (?, ?, ?)
+    `).run(season, team_id, player_id);
+
+    const card = db.prepare('SELECT * FROM rtm_cards WHERE id = ?').get(result.lastInsertRowid);
+
+    res.status(201).json({ card });
+  } catch (error) {
+    console.error('Create RTM Card Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /auction/rtm-cards/:id - Withdraw an unused right-to-match card (admin only)
+router.delete('/rtm-cards/:id', authenticateToken, requireAdmin, requireOpenSeason(rtmCardSeason), (req, res) => {
+  try {
+    const card = db.prepare('SELECT * FROM rtm_cards WHERE id = ?').get(req.params.id);
+
+    if (!card) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+
+    if (card.status !== 'available') {
+      return res.status(400).json({ error: 'Only unused cards can be withdrawn' });
+    }
+
+    db.prepare('DELETE FROM rtm_cards WHERE id = ?').run(card.id);
+
+    res.json({ message: 'Right-to-match card withdrawn' });
+  } catch (error) {
+    console.error('Delete RTM Card Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Shared handler for accepting or declining the open right-to-match offer
+function respondToRtmOffer(matched) {
+  return (req, res) => {
+    try {
+      if (currentPhase !== 'rtm' || !rtmOffer) {
+        return res.status(400).json({ error: 'No right-to-match offer pending' });
+      }
+
+      const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(rtmOffer.teamId);
+      if (!hasBiddingAuthority(team, req.user.id, req.user.role)) {
+        return res.status(403).json({ error: 'You do not have bidding authority for this team' });
+      }
+
+      if (matched) {
+        const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+        const maxAllowedBid = getMaxAllowedBid(team, state.season, rtmOffer.playerId);
+        if (rtmOffer.price > maxAllowedBid) {
+          return res.status(400).json({
+            error: 'Matching would leave the team unable to fill its minimum squad',
+            maxAllowedBid
+          });
+        }
+      }
+
+      const result = resolveRtmOffer(matched, req.app.get('io'));
+
+      if (!result.success) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.json({
+        message: matched ? 'Price matched - player retained' : 'Right-to-match declined',
+        player: result.player,
+        team: result.team,
+        price: result.price
+      });
+    } catch (error) {
+      console.error('RTM Response Error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+// POST /auction/rtm/accept - Previous team matches the winning price
+router.post('/rtm/accept', authenticateToken, respondToRtmOffer(true));
+
+// POST /auction/rtm/decline - Previous team passes, player goes to the winning bidder
+router.post('/rtm/decline', authenticateToken, respondToRtmOffer(false));
+
+// GET /auction/catalogue - Get the season's auction catalogue (sets, lots and what's up next)
+router.get('/catalogue', optionalAuth, (req, res) => {
+  try {
+    const { season = getCurrentSeasonId() } = req.query;
+    const catalogue = getCatalogue(parseInt(season));
+
+    if (!catalogue) {
+      return res.status(404).json({ error: 'No catalogue for this season' });
+    }
+
+    const remaining = [...catalogue.sets.flatMap(set => set.lots), ...catalogue.reauction]
+      .filter(lot => lot.status === 'pending').length;
+
+    res.json({ catalogue, remaining });
+  } catch (error) {
+    console.error('Get Catalogue Error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// POST /auction/sold - Mark player as sold (admin only)
-router.post('/sold', authenticateToken, requireAdmin, (req, res) => {
+// POST /auction/catalogue - Build the season's catalogue from ordered player sets (admin only)
+router.post('/catalogue', authenticateToken, requireAdmin, requireOpenSeason(), (req, res) => {
   try {
-    // Prevent double-sold race condition
-    if (isSoldInProgress) {
-      return res.status(409).json({ error: 'Sale already in progress' });
-    }
-    isSoldInProgress = true;
+    const { season = getCurrentSeasonId(), sets, reauction_enabled = true, reauction_discount_pct = 0 } = req.body;
 
-    // Clear bid queue and phase
-    bidQueue = [];
-    currentPhase = 'idle';
-    if (phaseTimer) {
-      clearTimeout(phaseTimer);
-      phaseTimer = null;
+    if (!Array.isArray(sets) || sets.length === 0) {
+      return res.status(400).json({ error: 'At least one set is required' });
     }
 
-    const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
-
-    if (!state.current_player_id || !state.current_bidder_team_id) {
-      isSoldInProgress = false;
-      return res.status(400).json({ error: 'No active bid to complete' });
+    for (const set of sets) {
+      if (!set.name || !Array.isArray(set.player_ids) || set.player_ids.length === 0) {
+        return res.status(400).json({ error: 'Each set needs a name and at least one player' });
+      }
+      if (set.ordering && !['ordered', 'shuffled'].includes(set.ordering)) {
+        return res.status(400).json({ error: 'Set ordering must be ordered or shuffled' });
+      }
+      if (set.format && !['open', 'sealed'].includes(set.format)) {
+        return res.status(400).json({ error: 'Set format must be open or sealed' });
+      }
     }
 
-    const player = db.prepare(`
-      SELECT p.*, u.name FROM players p JOIN users u ON p.user_id = u.id WHERE p.id = ?
-    `).get(state.current_player_id);
+    if (reauction_discount_pct < 0 || reauction_discount_pct > 90) {
+      return res.status(400).json({ error: 'Re-auction discount must be between 0 and 90 percent' });
+    }
 
-    const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(state.current_bidder_team_id);
+    const playerIds = sets.flatMap(set => set.player_ids);
+    if (new Set(playerIds).size !== playerIds.length) {
+      return res.status(400).json({ error: 'A player can only appear once in the catalogue' });
+    }
 
-    // Add player to team roster
-    db.prepare(`
-      INSERT INTO team_roster (team_id, player_id, acquisition_type, price, season)
-      VALUES (?, ?, 'auction', ?, ?)
-    `).run(state.current_bidder_team_id, state.current_player_id, state.current_bid, state.season);
+    const unavailable = playerIds.filter(playerId => !db.prepare(`
+      SELECT 1 FROM players
+      WHERE id = ? AND is_available = 1
+        AND id NOT IN (SELECT player_id FROM team_roster WHERE season = ?)
+    `).get(playerId, season));
 
-    // Update team budget
-    db.prepare('UPDATE teams SET budget_remaining = budget_remaining - ? WHERE id = ?')
-      .run(state.current_bid, state.current_bidder_team_id);
+    if (unavailable.length > 0) {
+      return res.status(400).json({ error: 'Some players are not available for auction', playerIds: unavailable });
+    }
 
-    // Mark player as unavailable
-    db.prepare('UPDATE players SET is_available = 0 WHERE id = ?').run(state.current_player_id);
+    // Don't rewrite the running order once lots have gone under the hammer
+    const started = db.prepare(
+      "SELECT 1 FROM auction_lots WHERE season = ? AND status != 'pending'"
+    ).get(season);
 
-    // Mark winning bid in auction log
-    db.prepare(`
-      UPDATE auction_log SET is_winning_bid = 1
-      WHERE player_id = ? AND team_id = ? AND bid_amount = ? AND season = ?
-    `).run(state.current_player_id, state.current_bidder_team_id, state.current_bid, state.season);
+    if (started) {
+      return res.status(409).json({ error: 'Catalogue already in progress for this season' });
+    }
 
-    // Clear current auction
-    db.prepare(`
-      UPDATE auction_state SET
-        current_player_id = NULL,
-        current_bid = 0,
-        current_bidder_team_id = NULL,
-        timer_end = NULL,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = 1
-    `).run();
+    createCatalogue(season, sets, {
+      reauctionEnabled: reauction_enabled,
+      reauctionDiscountPct: reauction_discount_pct
+    });
 
-    // Reset auto-bid settings for next player
-    autoBidSettings = {};
+    const catalogue = getCatalogue(season);
 
     const io = req.app.get('io');
-    if (io) {
-      io.emit('auction:sold', {
-        player,
-        team,
-        price: state.current_bid
-      });
-    }
-
-    isSoldInProgress = false;
+    emitAuctionEvent(io, 'auction:catalogue-updated', { season });
 
-    res.json({
-      message: 'Player sold',
-      player,
-      team,
-      price: state.current_bid
-    });
+    res.status(201).json({ catalogue });
   } catch (error) {
-    isSoldInProgress = false;
-    console.error('Sold Error:', error);
+    console.error('Create Catalogue Error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// POST /auction/unsold - Mark player as unsold (admin only)
-router.post('/unsold', authenticateToken, requireAdmin, (req, res) => {
+// POST /auction/auto-advance - Turn automatic next-lot selection on or off (admin only)
+router.post('/auto-advance', authenticateToken, requireAdmin, (req, res) => {
   try {
-    // Clear bid queue and phase
-    bidQueue = [];
-    currentPhase = 'idle';
-    if (phaseTimer) {
-      clearTimeout(phaseTimer);
-      phaseTimer = null;
-    }
-
-    const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+    const { enabled, delay_seconds = autoAdvance.delaySeconds } = req.body;
 
-    if (!state.current_player_id) {
-      return res.status(400).json({ error: 'No player being auctioned' });
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
     }
 
-    const player = db.prepare(`
-      SELECT p.*, u.name FROM players p JOIN users u ON p.user_id = u.id WHERE p.id = ?
-    `).get(state.current_player_id);
-
-    // Clear current auction
-    db.prepare(`
-      UPDATE auction_state SET
-        current_player_id = NULL,
-        current_bid = 0,
-        current_bidder_team_id = NULL,
-        timer_end = NULL,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = 1
-    `).run();
+    if (delay_seconds < 0 || delay_seconds > 300) {
+      return res.status(400).json({ error: 'Delay must be between 0 and 300 seconds' });
+    }
 
-    // Reset auto-bid settings
-    autoBidSettings = {};
+    autoAdvance = { enabled, delaySeconds: delay_seconds };
+    saveEngineState();
 
     const io = req.app.get('io');
-    if (io) {
-      io.emit('auction:unsold', { player });
+    if (enabled) {
+      scheduleAutoAdvance(io);
+    } else {
+      clearAdvanceTimer();
     }
 
-    res.json({ message: 'Player marked as unsold', player });
+    emitAuctionEvent(io, 'auction:config-updated', { autoAdvance });
+
+    res.json({ message: `Auto-advance ${enabled ? 'enabled' : 'disabled'}`, autoAdvance });
   } catch (error) {
-    console.error('Unsold Error:', error);
+    console.error('Auto-advance Error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -690,6 +2053,26 @@ router.post('/end', authenticateToken, requireAdmin, (req, res) => {
     // Clear everything
     bidQueue = [];
     autoBidSettings = {};
+    currentPhase = 'idle';
+    pausedPhase = null;
+    clearLotTimers();
+    clearAdvanceTimer();
+    sealedLot = null;
+
+    // A lot still on the block goes back into the catalogue
+    const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+    if (state.current_player_id) {
+      const lot = getLotForPlayer(state.season, state.current_player_id);
+      if (lot && lot.status === 'called') {
+        setLotStatus(state.season, state.current_player_id, 'pending');
+      }
+    }
+
+    if (rtmOffer) {
+      db.prepare("UPDATE rtm_cards SET status = 'available' WHERE id = ?").run(rtmOffer.cardId);
+      rtmOffer = null;
+    }
+    saveEngineState();
 
     db.prepare(`
       UPDATE auction_state SET
@@ -703,9 +2086,7 @@ router.post('/end', authenticateToken, requireAdmin, (req, res) => {
     `).run();
 
     const io = req.app.get('io');
-    if (io) {
-      io.emit('auction:ended');
-    }
+    emitAuctionEvent(io, 'auction:ended');
 
     res.json({ message: 'Auction ended' });
   } catch (error) {
@@ -849,12 +2230,10 @@ router.post('/authority', authenticateToken, (req, res) => {
 
     // Notify via socket
     const io = req.app.get('io');
-    if (io) {
-      io.emit('auction:authority-changed', {
-        teamId: team_id,
-        delegatedToUserId: delegate_to_user_id || null
-      });
-    }
+    emitAuctionEvent(io, 'auction:authority-changed', {
+      teamId: team_id,
+      delegatedToUserId: delegate_to_user_id || null
+    });
   } catch (error) {
     console.error('Delegate Authority Error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -884,12 +2263,10 @@ router.delete('/authority/:team_id', authenticateToken, (req, res) => {
 
     // Notify via socket
     const io = req.app.get('io');
-    if (io) {
-      io.emit('auction:authority-changed', {
-        teamId: parseInt(team_id),
-        delegatedToUserId: null
-      });
-    }
+    emitAuctionEvent(io, 'auction:authority-changed', {
+      teamId: parseInt(team_id),
+      delegatedToUserId: null
+    });
 
     res.json({ message: 'Bidding authority revoked - returned to owner' });
   } catch (error) {
@@ -913,22 +2290,35 @@ router.post('/manual-bid', authenticateToken, requireAdmin, (req, res) => {
       return res.status(400).json({ error: 'No player currently being auctioned' });
     }
 
+    if (currentPhase === 'rtm') {
+      return res.status(400).json({ error: 'Bidding closed - right-to-match decision pending' });
+    }
+
+    if (currentPhase === 'sealed') {
+      return res.status(400).json({ error: 'Sealed-bid lot - submit a sealed bid instead' });
+    }
+
     const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(team_id);
     if (!team) {
       return res.status(404).json({ error: 'Team not found' });
     }
 
-    if (amount <= state.current_bid) {
-      return res.status(400).json({ error: 'Bid must be higher than current bid' });
+    const nextValidBid = getNextValidBid(state);
+    if (amount < nextValidBid) {
+      return res.status(400).json({ error: `Bid must be at least ${nextValidBid}`, nextValidBid });
     }
 
-    if (amount > team.budget_remaining) {
-      return res.status(400).json({ error: 'Insufficient budget' });
+    const maxAllowedBid = getMaxAllowedBid(team, state.season, state.current_player_id);
+    if (amount > maxAllowedBid) {
+      return res.status(400).json({
+        error: 'Bid would leave the team unable to fill its minimum squad',
+        maxAllowedBid
+      });
     }
 
     // Skip the queue for manual bids - execute immediately
     const increment = amount - state.current_bid;
-    const newTimerEnd = new Date(Date.now() + 10 * 1000).toISOString();
+    const newTimerEnd = new Date(Date.now() + getLotClock(state.season, state.current_player_id).extensionMs).toISOString();
 
     // Update auction state directly
     db.prepare(`
@@ -940,27 +2330,27 @@ router.post('/manual-bid', authenticateToken, requireAdmin, (req, res) => {
       WHERE id = 1
     `).run(amount, team_id, newTimerEnd);
 
+    const io = req.app.get('io');
+    armBiddingClock(io);
+
     // Log the bid
     db.prepare(`
       INSERT INTO auction_log (player_id, team_id, bid_amount, bid_increment, is_auto_bid, season)
       VALUES (?, ?, ?, ?, 0, ?)
     `).run(state.current_player_id, team_id, amount, increment, state.season);
 
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('auction:bid', {
-        playerId: state.current_player_id,
-        teamId: team_id,
-        teamName: team.name,
-        teamColor: team.primary_color,
-        amount,
-        increment,
-        isAutoBid: false,
-        isManualBid: true,
-        timerEnd: newTimerEnd,
-        queueLength: 0
-      });
-    }
+    emitAuctionEvent(io, 'auction:bid', {
+      playerId: state.current_player_id,
+      teamId: team_id,
+      teamName: team.name,
+      teamColor: team.primary_color,
+      amount,
+      increment,
+      isAutoBid: false,
+      isManualBid: true,
+      timerEnd: newTimerEnd,
+      queueLength: 0
+    });
 
     res.json({
       success: true,
@@ -1024,13 +2414,19 @@ router.post('/extend-timer', authenticateToken, requireAdmin, (req, res) => {
     `).run(newTimerEnd);
 
     const io = req.app.get('io');
-    if (io) {
-      io.emit('auction:timer-extended', {
-        timerEnd: newTimerEnd,
-        seconds
-      });
+    if (currentPhase === 'sealed' && sealedLot) {
+      sealedLot.closesAt = newTimerEnd;
+      saveEngineState();
+      armSealedTimer(io);
+    } else {
+      armBiddingClock(io);
     }
 
+    emitAuctionEvent(io, 'auction:timer-extended', {
+      timerEnd: newTimerEnd,
+      seconds
+    });
+
     res.json({ message: `Timer extended by ${seconds} seconds`, timerEnd: newTimerEnd });
   } catch (error) {
     console.error('Extend Timer Error:', error);
@@ -1041,19 +2437,25 @@ router.post('/extend-timer', authenticateToken, requireAdmin, (req, res) => {
 // POST /auction/pause - Pause the auction (admin only)
 router.post('/pause', authenticateToken, requireAdmin, (req, res) => {
   try {
-    // Clear timers
-    if (phaseTimer) {
-      clearTimeout(phaseTimer);
-      phaseTimer = null;
+    if (currentPhase === 'rtm' || currentPhase === 'sealed') {
+      return res.status(409).json({ error: 'Cannot pause during a right-to-match or sealed-bid window' });
+    }
+
+    if (currentPhase === 'paused') {
+      return res.status(409).json({ error: 'Auction is already paused' });
     }
 
+    // Clear timers
+    clearLotTimers();
+    clearAdvanceTimer();
+
     const previousPhase = currentPhase;
     currentPhase = 'paused';
+    pausedPhase = previousPhase;
+    saveEngineState();
 
     const io = req.app.get('io');
-    if (io) {
-      io.emit('auction:paused', { previousPhase });
-    }
+    emitAuctionEvent(io, 'auction:paused', { previousPhase });
 
     res.json({ message: 'Auction paused', previousPhase });
   } catch (error) {
@@ -1072,13 +2474,12 @@ router.post('/set-setup-duration', authenticateToken, requireAdmin, (req, res) =
     }
 
     setupPhaseDuration = seconds * 1000;
+    saveEngineState();
 
     const io = req.app.get('io');
-    if (io) {
-      io.emit('auction:config-updated', {
-        setupPhaseDuration: seconds
-      });
-    }
+    emitAuctionEvent(io, 'auction:config-updated', {
+      setupPhaseDuration: seconds
+    });
 
     res.json({ message: `Setup phase duration set to ${seconds} seconds`, seconds });
   } catch (error) {
@@ -1087,12 +2488,229 @@ router.post('/set-setup-duration', authenticateToken, requireAdmin, (req, res) =
   }
 });
 
+// POST /auction/set-hammer-config - Configure the auction clock's going once / going twice sequence (admin only)
+router.post('/set-hammer-config', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const {
+      enabled = hammerConfig.enabled,
+      going_once_seconds = hammerConfig.goingOnceSeconds,
+      going_twice_seconds = hammerConfig.goingTwiceSeconds
+    } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'Enabled must be true or false' });
+    }
+
+    if (!Number.isInteger(going_once_seconds) || !Number.isInteger(going_twice_seconds)) {
+      return res.status(400).json({ error: 'Warnings must be whole numbers of seconds' });
+    }
+
+    if (going_twice_seconds < 1 || going_once_seconds > 60) {
+      return res.status(400).json({ error: 'Warnings must be between 1 and 60 seconds before the hammer' });
+    }
+
+    if (going_once_seconds <= going_twice_seconds) {
+      return res.status(400).json({ error: 'Going once must come before going twice' });
+    }
+
+    hammerConfig = {
+      enabled,
+      goingOnceSeconds: going_once_seconds,
+      goingTwiceSeconds: going_twice_seconds
+    };
+    saveEngineState();
+
+    const io = req.app.get('io');
+    if (hammerConfig.enabled) {
+      armBiddingClock(io);
+    } else {
+      clearBiddingClock();
+    }
+
+    emitAuctionEvent(io, 'auction:config-updated', { hammer: hammerConfig });
+
+    res.json({ message: 'Hammer settings updated', hammer: hammerConfig });
+  } catch (error) {
+    console.error('Set Hammer Config Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /auction/set-increment-ladder - Set the minimum raise for each bid range (admin only)
+router.post('/set-increment-ladder', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { ladder } = req.body;
+
+    if (!Array.isArray(ladder) || ladder.length === 0) {
+      return res.status(400).json({ error: 'Ladder must be a non-empty array of { up_to, increment }' });
+    }
+
+    if (ladder.some(rung => !rung || typeof rung !== 'object')) {
+      return res.status(400).json({ error: 'Each rung must be an object of { up_to, increment }' });
+    }
+
+    if (ladder.length > 20) {
+      return res.status(400).json({ error: 'Ladder can have at most 20 rungs' });
+    }
+
+    const rungs = ladder.map(rung => ({
+      upTo: rung.up_to === undefined || rung.up_to === null ? null : rung.up_to,
+      increment: rung.increment
+    }));
+
+    if (rungs.some(rung => !Number.isInteger(rung.increment) || rung.increment <= 0)) {
+      return res.status(400).json({ error: 'Each increment must be a positive whole amount' });
+    }
+
+    if (rungs.some(rung => rung.upTo !== null && (!Number.isInteger(rung.upTo) || rung.upTo <= 0))) {
+      return res.status(400).json({ error: 'Each up_to must be a positive whole amount or null' });
+    }
+
+    // Rungs must climb, and only the last one may be open-ended
+    for (let i = 0; i < rungs.length; i++) {
+      const isLast = i === rungs.length - 1;
+      if (!isLast && rungs[i].upTo === null) {
+        return res.status(400).json({ error: 'Only the last rung can be open-ended' });
+      }
+      if (i > 0 && rungs[i].upTo !== null && rungs[i].upTo <= rungs[i - 1].upTo) {
+        return res.status(400).json({ error: 'Ladder rungs must be in ascending order' });
+      }
+    }
+
+    if (rungs[rungs.length - 1].upTo !== null) {
+      rungs.push({ upTo: null, increment: rungs[rungs.length - 1].increment });
+    }
+
+    incrementLadder = rungs;
+    saveEngineState();
+
+    const io = req.app.get('io');
+    emitAuctionEvent(io, 'auction:config-updated', { incrementLadder });
+
+    res.json({ message: 'Increment ladder updated', incrementLadder });
+  } catch (error) {
+    console.error('Set Increment Ladder Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /auction/set-rtm-window - Set how long a team has to use its right-to-match card (admin only)
+router.post('/set-rtm-window', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { seconds = 30 } = req.body;
+
+    if (seconds < 5 || seconds > 300) {
+      return res.status(400).json({ error: 'Window must be between 5 and 300 seconds' });
+    }
+
+    rtmWindowDuration = seconds * 1000;
+    saveEngineState();
+
+    const io = req.app.get('io');
+    emitAuctionEvent(io, 'auction:config-updated', { rtmWindowDuration: seconds });
+
+    res.json({ message: `Right-to-match window set to ${seconds} seconds`, seconds });
+  } catch (error) {
+    console.error('Set RTM Window Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /auction/set-sealed-config - Set defaults for sealed-bid lots (admin only)
+router.post('/set-sealed-config', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const {
+      window_seconds = sealedConfig.windowSeconds,
+      settlement = sealedConfig.settlement,
+      tie_break = sealedConfig.tieBreak
+    } = req.body;
+
+    const error = validateSealedOptions({ settlement, tieBreak: tie_break, windowSeconds: window_seconds });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    sealedConfig = { windowSeconds: window_seconds, settlement, tieBreak: tie_break };
+    saveEngineState();
+
+    const io = req.app.get('io');
+    emitAuctionEvent(io, 'auction:config-updated', { sealed: sealedConfig });
+
+    res.json({ message: 'Sealed-bid settings updated', sealed: sealedConfig });
+  } catch (error) {
+    console.error('Set Sealed Config Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /auction/roster-rules - Get squad size and reserve rules for a season
+router.get('/roster-rules', optionalAuth, (req, res) => {
+  try {
+    const { season = getCurrentSeasonId() } = req.query;
+    res.json({ rules: getRosterRules(parseInt(season)) });
+  } catch (error) {
+    console.error('Get Roster Rules Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /auction/roster-rules - Set squad size and reserve rules for a season (admin only)
+router.post('/roster-rules', authenticateToken, requireAdmin, requireOpenSeason(), (req, res) => {
+  try {
+    const { season = getCurrentSeasonId(), min_squad_size, max_squad_size, min_reserve_per_slot } = req.body;
+    const current = getRosterRules(season);
+
+    const minSquadSize = min_squad_size ?? current.minSquadSize;
+    const maxSquadSize = max_squad_size ?? current.maxSquadSize;
+    // null clears a fixed reserve so it is derived from base prices again
+    const minReservePerSlot = min_reserve_per_slot === undefined ? current.minReservePerSlot : min_reserve_per_slot;
+
+    if (minSquadSize < 1 || maxSquadSize < minSquadSize) {
+      return res.status(400).json({ error: 'Squad sizes must satisfy 1 <= minimum <= maximum' });
+    }
+
+    if (minReservePerSlot !== null && minReservePerSlot < 0) {
+      return res.status(400).json({ error: 'Reserve per slot cannot be negative' });
+    }
+
+    db.prepare(`
+      INSERT INTO roster_rules (season, min_squad_size, max_squad_size, min_reserve_per_slot)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(season) DO UPDATE SET
+        min_squad_size = excluded.min_squad_size,
+        max_squad_size = excluded.max_squad_size,
+        min_reserve_per_slot = excluded.min_reserve_per_slot,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(season, minSquadSize, maxSquadSize, minReservePerSlot);
+
+    const rules = getRosterRules(season);
+
+    const io = req.app.get('io');
+    emitAuctionEvent(io, 'auction:config-updated', { rosterRules: rules });
+
+    res.json({ message: 'Roster rules updated', rules });
+  } catch (error) {
+    console.error('Set Roster Rules Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /auction/config - Get auction configuration
 router.get('/config', optionalAuth, (req, res) => {
   try {
+    const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+
     res.json({
       setupPhaseDuration: setupPhaseDuration / 1000,
-      bidIntervalMs: BID_INTERVAL_MS
+      bidIntervalMs: BID_INTERVAL_MS,
+      hammer: hammerConfig,
+      incrementLadder,
+      rtmWindowDuration: rtmWindowDuration / 1000,
+      autoAdvance,
+      sealed: sealedConfig,
+      currentBid: state.current_bid,
+      minimumIncrement: getMinimumIncrement(state.current_bid),
+      nextValidBid: getNextValidBid(state)
     });
   } catch (error) {
     console.error('Get Config Error:', error);
@@ -1103,24 +2721,60 @@ router.get('/config', optionalAuth, (req, res) => {
 // POST /auction/resume - Resume the auction (admin only)
 router.post('/resume', authenticateToken, requireAdmin, (req, res) => {
   try {
-    const { phase = 'bidding' } = req.body;
+    if (currentPhase !== 'paused') {
+      return res.status(409).json({ error: 'Auction is not paused' });
+    }
+
+    const io = req.app.get('io');
+    const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
 
+    // Pick up where the pause left off; a lot that has since closed resumes to idle,
+    // and a window whose offer or sealed lot is gone goes back to open bidding
+    let phase = state.current_player_id ? pausedPhase || 'bidding' : 'idle';
+    if ((phase === 'rtm' && !rtmOffer) || (phase === 'sealed' && !sealedLot)) {
+      phase = 'bidding';
+    }
     currentPhase = phase;
+    pausedPhase = null;
+
+    const clock = getLotClock(state.season, state.current_player_id);
+    let timerEnd = null;
+    if (phase === 'setup') {
+      timerEnd = new Date(Date.now() + clock.setupMs).toISOString();
+      phaseTimer = setTimeout(() => {
+        startBiddingPhase(io);
+      }, clock.setupMs);
+    } else if (phase === 'bidding') {
+      timerEnd = new Date(Date.now() + clock.biddingMs).toISOString();
+    } else if (phase === 'sealed') {
+      const windowSeconds = sealedLot.windowSeconds || sealedConfig.windowSeconds;
+      timerEnd = new Date(Date.now() + windowSeconds * 1000).toISOString();
+      sealedLot = { ...sealedLot, closesAt: timerEnd };
+    } else if (phase === 'rtm') {
+      timerEnd = new Date(Date.now() + rtmWindowDuration).toISOString();
+      rtmOffer = { ...rtmOffer, expiresAt: timerEnd };
+    }
 
-    // Set a new timer
-    const timerEnd = new Date(Date.now() + 30 * 1000).toISOString();
     db.prepare(`
       UPDATE auction_state SET
         timer_end = ?,
         updated_at = CURRENT_TIMESTAMP
       WHERE id = 1
     `).run(timerEnd);
-
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('auction:resumed', { phase, timerEnd });
+    saveEngineState();
+
+    if (phase === 'bidding') {
+      armBiddingClock(io);
+    } else if (phase === 'sealed') {
+      armSealedTimer(io);
+    } else if (phase === 'rtm') {
+      armRtmTimer(io);
+    } else if (phase === 'idle') {
+      scheduleAutoAdvance(io);
     }
 
+    emitAuctionEvent(io, 'auction:resumed', { phase, timerEnd });
+
     res.json({ message: 'Auction resumed', phase, timerEnd });
   } catch (error) {
     console.error('Resume Auction Error:', error);
@@ -1128,10 +2782,71 @@ router.post('/resume', authenticateToken, requireAdmin, (req, res) => {
   }
 });
 
+// GET /auction/replay - Ordered event timeline per lot for replays and bid disputes
+router.get('/replay', optionalAuth, (req, res) => {
+  try {
+    const { season = getCurrentSeasonId(), player_id } = req.query;
+
+    let query = `
+      SELECT ae.*, u.name as player_name
+      FROM auction_events ae
+      LEFT JOIN players p ON ae.player_id = p.id
+      LEFT JOIN users u ON p.user_id = u.id
+      WHERE ae.season = ?
+    `;
+    const params = [season];
+
+    if (player_id) {
+      query += ' AND ae.player_id = ?';
+      params.push(player_id);
+    }
+
+    query += ' ORDER BY ae.id ASC';
+
+    const events = db.prepare(query).all(...params).map(event => ({
+      id: event.id,
+      playerId: event.player_id,
+      playerName: event.player_name,
+      type: event.event_type,
+      payload: event.payload ? JSON.parse(event.payload) : null,
+      at: event.created_at
+    }));
+
+    // Lots in the order they first came up; events outside any lot form the session timeline
+    const lots = new Map();
+    const session = [];
+
+    events.forEach(event => {
+      if (!event.playerId) {
+        session.push(event);
+        return;
+      }
+      if (!lots.has(event.playerId)) {
+        lots.set(event.playerId, {
+          playerId: event.playerId,
+          playerName: event.playerName,
+          startedAt: event.at,
+          events: []
+        });
+      }
+      lots.get(event.playerId).events.push(event);
+    });
+
+    res.json({
+      season: parseInt(season),
+      lots: Array.from(lots.values()),
+      session
+    });
+  } catch (error) {
+    console.error('Get Auction Replay Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /auction/log - Get auction history
 router.get('/log', optionalAuth, (req, res) => {
   try {
-    const { season = 1, player_id, team_id } = req.query;
+    const { season = getCurrentSeasonId(), player_id, team_id } = req.query;
 
     let query = `
       SELECT al.*, p.handicap, u.name as player_name, t.name as team_name
@@ -1164,4 +2879,7 @@ router.get('/log', optionalAuth, (req, res) => {
   }
 });
 
+router.recoverEngineState = recoverEngineState;
+router.isEngineIdle = isEngineIdle;
+
 module.exports = router;
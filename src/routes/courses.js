@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const { db } = require('../database');
+const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { HOLES_IN_ROUND } = require('../services/matchPlay');
+
+// Check a full 18-hole layout: every hole once, par 3-6, and each stroke index 1-18 used exactly once.
+// Returns an error message or null.
+function validateHoles(holes) {
+  if (!Array.isArray(holes) || holes.length !== HOLES_IN_ROUND) {
+    return `Exactly ${HOLES_IN_ROUND} holes are required`;
+  }
+
+  if (holes.some(hole => !hole || typeof hole !== 'object' || Array.isArray(hole))) {
+    return 'Each hole must be an object of { hole_number, par, stroke_index }';
+  }
+
+  const holeNumbers = new Set(holes.map(hole => hole.hole_number));
+  const strokeIndexes = new Set(holes.map(hole => hole.stroke_index));
+
+  for (const hole of holes) {
+    if (!Number.isInteger(hole.hole_number) || hole.hole_number < 1 || hole.hole_number > HOLES_IN_ROUND) {
+      return `Hole number must be between 1 and ${HOLES_IN_ROUND}`;
+    }
+    if (!Number.isInteger(hole.par) || hole.par < 3 || hole.par > 6) {
+      return `Par for hole ${hole.hole_number} must be between 3 and 6`;
+    }
+    if (!Number.isInteger(hole.stroke_index) || hole.stroke_index < 1 || hole.stroke_index > HOLES_IN_ROUND) {
+      return `Stroke index for hole ${hole.hole_number} must be between 1 and ${HOLES_IN_ROUND}`;
+    }
+  }
+
+  if (holeNumbers.size !== HOLES_IN_ROUND) {
+    return 'Each hole number must appear exactly once';
+  }
+
+  if (strokeIndexes.size !== HOLES_IN_ROUND) {
+    return 'Each stroke index must be used exactly once';
+  }
+
+  return null;
+}
+
+const replaceHoles = db.transaction((courseId, holes) => {
+  db.prepare('DELETE FROM course_holes WHERE course_id = ?').run(courseId);
+
+  const insert = db.prepare(`
+    INSERT INTO course_holes (course_id, hole_number, par, stroke_index) VALUES (?, ?, ?, ?)
+  `);
+  holes.forEach(hole => insert.run(courseId, hole.hole_number, hole.par, hole.stroke_index));
+});
+
+function getCourse(id) {
+  const course = db.prepare('SELECT * FROM courses WHERE id = ?').get(id);
+  if (!course) return null;
+
+  const holes = db.prepare(`
+    SELECT hole_number, par, stroke_index FROM course_holes WHERE course_id = ? ORDER BY hole_number ASC
+  `).all(id);
+
+  return { ...course, par: holes.reduce((sum, hole) => sum + hole.par, 0), holes };
+}
+
+// GET /courses - List courses
+router.get('/', optionalAuth, (req, res) => {
+  try {
+    const courses = db.prepare(`
+      SELECT c.*, COALESCE(SUM(ch.par), 0) as par
+      FROM courses c
+      LEFT JOIN course_holes ch ON ch.course_id = c.id
+      GROUP BY c.id
+      ORDER BY c.name
+    `).all();
+
+    res.json({ courses });
+  } catch (error) {
+    console.error('Get Courses Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /courses/:id - Get course with its hole layout
+router.get('/:id', optionalAuth, (req, res) => {
+  try {
+    const course = getCourse(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    res.json({ course });
+  } catch (error) {
+    console.error('Get Course Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /courses - Create a course with par and stroke index for every hole (admin only)
+router.post('/', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { name, venue, holes } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Course name is required' });
+    }
+
+    const holesError = validateHoles(holes);
+    if (holesError) {
+      return res.status(400).json({ error: holesError });
+    }
+
+    const courseId = db.transaction(() => {
+      const result = db.prepare('INSERT INTO courses (name, venue) VALUES (?, ?)').run(name, venue || null);
+      replaceHoles(result.lastInsertRowid, holes);
+      return result.lastInsertRowid;
+    })();
+
+    res.status(201).json({ course: getCourse(courseId) });
+  } catch (error) {
+    console.error('Create Course Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /courses/:id - Update a course (admin only)
+// The hole layout can only change while no strokes have been recorded on the course
+router.put('/:id', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, venue, holes } = req.body;
+
+    const course = db.prepare('SELECT * FROM courses WHERE id = ?').get(id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    if (holes !== undefined) {
+      const holesError = validateHoles(holes);
+      if (holesError) {
+        return res.status(400).json({ error: holesError });
+      }
+
+      const played = db.prepare(`
+        SELECT 1 FROM hole_scores hs JOIN matches m ON hs.match_id = m.id WHERE m.course_id = ? LIMIT 1
+      `).get(id);
+
+      if (played) {
+        return res.status(400).json({ error: 'Cannot change the hole layout of a course that has scores recorded' });
+      }
+    }
+
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE courses SET name = ?, venue = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(name ?? course.name, venue !== undefined ? venue : course.venue, id);
+
+      if (holes !== undefined) {
+        replaceHoles(course.id, holes);
+      }
+    })();
+
+    res.json({ course: getCourse(id) });
+  } catch (error) {
+    console.error('Update Course Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -2,34 +2,144 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../database');
 const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { requireOpenSeason, tradeSeason } = require('../middleware/season');
+const { RosterLedgerError, addToRoster, removeFromRoster } = require('../services/rosterLedger');
+const {
+  DRAFT_FORMATS,
+  buildDraftBoard,
+  drawLotteryOrder,
+  getDraftLottery,
+  saveDraftLottery
+} = require('../services/draftOrder');
+const { getRosterRules } = require('../services/rosterRules');
+const { getCurrentSeasonId, advanceSeasonStatus } = require('../services/seasons');
+const {
+  findNextOpenPick,
+  seedDraftPicks,
+  getDraftPool,
+  getPickOwnerId,
+  markPickUsed,
+  markPickSkipped,
+  releasePick,
+  getDraftPicks,
+  validateTradeItems,
+  executeTrade
+} = require('../services/draftPicks');
+const { BOT_STRATEGIES, createMockDraft, makeMockPick, getMockDraft } = require('../services/mockDraft');
+
+// Switch to draft mode in one transaction: state, season status, lottery draw and pick ledger,
+// then move to the first pick whose owner is under the cap
+const openDraft = db.transaction(({ season, format, order, rounds, rosterCap, pickSeconds, lottery, board }) => {
+  db.prepare(`
+    UPDATE auction_state SET
+      mode = 'draft',
+      current_player_id = NULL,
+      current_bid = 0,
+      current_bidder_team_id = NULL,
+      timer_end = NULL,
+      draft_round = 1,
+      draft_pick = 1,
+      draft_order = ?,
+      draft_format = ?,
+      draft_rounds = ?,
+      draft_roster_cap = ?,
+      draft_pick_seconds = ?,
+      draft_completed_at = NULL,
+      season = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = 1
+  `).run(JSON.stringify(order), format, rounds, rosterCap, pickSeconds || null, season);
+  advanceSeasonStatus(season, 'draft');
+
+  if (lottery) {
+    saveDraftLottery(season, lottery);
+  }
+
+  // Every pick starts with the team the board gives it; trades change the owner from here
+  seedDraftPicks(season, board);
+
+  // Teams already at the cap (e.g. from the auction) are skipped from the first pick
+  const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+  return moveToNextOpenPick(state, 1);
+});
 
 // POST /draft/start - Start draft mode (admin only)
-router.post('/start', authenticateToken, requireAdmin, (req, res) => {
+// format: linear, snake (default), third_round_reversal, or lottery (weighted by last season's standings)
+router.post('/start', authenticateToken, requireAdmin, requireOpenSeason(), (req, res) => {
   try {
-    const { season = 1, team_order } = req.body;
+    const {
+      season = getCurrentSeasonId(),
+      team_order,
+      pick_seconds,
+      rounds = getRosterRules(season).maxSquadSize,
+      roster_cap = getRosterRules(season).maxSquadSize,
+      format = 'snake',
+      lottery_seed
+    } = req.body;
 
-    if (!team_order || !Array.isArray(team_order) || team_order.length === 0) {
-      // Get all teams in default order if not specified
-      const teams = db.prepare('SELECT id FROM teams ORDER BY name').all();
-      var orderToUse = teams.map(t => t.id);
-    } else {
-      var orderToUse = team_order;
+    if (!DRAFT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${DRAFT_FORMATS.join(', ')}` });
     }
 
-    db.prepare(`
-      UPDATE auction_state SET
-        mode = 'draft',
-        current_player_id = NULL,
-        current_bid = 0,
-        current_bidder_team_id = NULL,
-        timer_end = NULL,
-        draft_round = 1,
-        draft_pick = 1,
-        draft_order = ?,
-        season = ?,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = 1
-    `).run(JSON.stringify(orderToUse), season);
+    if (!Number.isInteger(rounds) || rounds < 1) {
+      return res.status(400).json({ error: 'Rounds must be a positive whole number' });
+    }
+
+    if (!Number.isInteger(roster_cap) || roster_cap < 1) {
+      return res.status(400).json({ error: 'Roster cap must be a positive whole number' });
+    }
+
+    if (pick_seconds !== undefined && pick_seconds !== null && (pick_seconds < 10 || pick_seconds > 3600)) {
+      return res.status(400).json({ error: 'Pick clock must be between 10 and 3600 seconds' });
+    }
+
+    const current = db.prepare('SELECT mode FROM auction_state WHERE id = 1').get();
+    if (current.mode === 'draft') {
+      return res.status(409).json({ error: 'A draft is already running - end it before starting another' });
+    }
+
+    // Get all teams in default order if not specified
+    const teams = db.prepare('SELECT id FROM teams ORDER BY name').all();
+    let orderToUse = teams.map(t => t.id);
+
+    if (team_order !== undefined && team_order !== null) {
+      if (!Array.isArray(team_order) || team_order.length === 0) {
+        return res.status(400).json({ error: 'Team order must be a non-empty array of team ids' });
+      }
+
+      orderToUse = team_order.map(id => parseInt(id));
+      if (orderToUse.some(id => !teams.some(team => team.id === id))) {
+        return res.status(400).json({ error: 'Team order contains a team that does not exist' });
+      }
+      if (new Set(orderToUse).size !== orderToUse.length) {
+        return res.status(400).json({ error: 'Team order cannot list a team twice' });
+      }
+      if (orderToUse.length !== teams.length) {
+        return res.status(400).json({ error: 'Team order must include every team' });
+      }
+    }
+
+    // The lottery replaces the given order with a weighted draw
+    let lottery = null;
+    if (format === 'lottery') {
+      lottery = drawLotteryOrder(season, orderToUse, lottery_seed);
+      orderToUse = lottery.order;
+    }
+
+    const board = buildDraftBoard(format, orderToUse, rounds);
+
+    clearPickClock();
+
+    const first = openDraft({
+      season,
+      format,
+      order: orderToUse,
+      rounds,
+      rosterCap: roster_cap,
+      pickSeconds: pick_seconds,
+      lottery,
+      board
+    });
 
     const io = req.app.get('io');
     if (io) {
@@ -37,15 +147,31 @@ router.post('/start', authenticateToken, requireAdmin, (req, res) => {
         mode: 'draft',
         season,
         draftOrder: orderToUse,
-        currentRound: 1,
-        currentPick: 1
+        format,
+        rounds,
+        rosterCap: roster_cap,
+        lottery,
+        board,
+        currentRound: first.round || null,
+        currentPick: first.pick || null
       });
     }
 
+    const { timerEnd, summary } = afterPickMoved(io, first);
+
     res.json({
-      message: 'Draft started',
-      mode: 'draft',
-      draftOrder: orderToUse
+      message: summary ? 'Draft started with nothing left to pick - draft completed' : 'Draft started',
+      mode: summary ? 'idle' : 'draft',
+      draftOrder: orderToUse,
+      format,
+      rounds,
+      rosterCap: roster_cap,
+      lottery,
+      board,
+      currentRound: first.round || null,
+      currentPick: first.pick || null,
+      timerEnd,
+      summary
     });
   } catch (error) {
     console.error('Start Draft Error:', error);
@@ -65,26 +191,13 @@ router.get('/status', optionalAuth, (req, res) => {
     const draftOrder = state.draft_order ? JSON.parse(state.draft_order) : [];
 
     // Get current team on the clock
-    const totalTeams = draftOrder.length;
-    const pickIndex = (state.draft_pick - 1) % totalTeams;
-
-    // Snake draft: odd rounds go forward, even rounds go backward
-    const isReverseRound = state.draft_round % 2 === 0;
-    const teamIndex = isReverseRound ? (totalTeams - 1 - pickIndex) : pickIndex;
-    const currentTeamId = draftOrder[teamIndex];
+    const currentTeamId = getPickOwnerId(state, state.draft_round, state.draft_pick);
 
     const currentTeam = currentTeamId ?
       db.prepare('SELECT * FROM teams WHERE id = ?').get(currentTeamId) : null;
 
     // Get available players
-    const availablePlayers = db.prepare(`
-      SELECT p.*, u.name, u.photo_url as user_photo
-      FROM players p
-      JOIN users u ON p.user_id = u.id
-      WHERE p.is_available = 1
-        AND p.id NOT IN (SELECT player_id FROM team_roster WHERE season = ?)
-      ORDER BY p.handicap ASC
-    `).all(state.season);
+    const availablePlayers = getDraftPool(state.season);
 
     // Get draft history for this season
     const draftHistory = db.prepare(`
@@ -116,7 +229,13 @@ router.get('/status', optionalAuth, (req, res) => {
       availablePlayers,
       draftHistory,
       teams,
-      timerEnd: state.timer_end
+      format: state.draft_format,
+      rounds: state.draft_rounds,
+      rosterCap: state.draft_roster_cap,
+      lottery: state.draft_format === 'lottery' ? getDraftLottery(state.season) : null,
+      board: getDraftPicks(state.season),
+      timerEnd: state.timer_end,
+      pickSeconds: state.draft_pick_seconds
     });
   } catch (error) {
     console.error('Get Draft Status Error:', error);
@@ -124,6 +243,378 @@ router.get('/status', optionalAuth, (req, res) => {
   }
 });
 
+// Server-side pick clock: when timer_end passes, the team on the clock gets an auto-pick
+let pickClock = null;
+
+function clearPickClock() {
+  if (pickClock) {
+    clearTimeout(pickClock);
+    pickClock = null;
+  }
+}
+
+// Put the current pick on the clock for the given number of seconds
+function startPickClock(io, seconds) {
+  const timerEnd = new Date(Date.now() + seconds * 1000).toISOString();
+
+  db.prepare(`
+    UPDATE auction_state SET timer_end = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1
+  `).run(timerEnd);
+
+  armPickClock(io);
+
+  if (io) {
+    io.emit('draft:timer', { timerEnd, seconds });
+  }
+
+  return timerEnd;
+}
+
+// Schedule the auto-pick from the persisted timer_end (also used after a restart)
+function armPickClock(io) {
+  clearPickClock();
+
+  const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+  if (state.mode !== 'draft' || !state.timer_end) return;
+
+  const msLeft = new Date(state.timer_end).getTime() - Date.now();
+  pickClock = setTimeout(() => {
+    pickClock = null;
+    try {
+      onPickClockExpired(io);
+    } catch (error) {
+      console.error('[DRAFT] Auto-pick failed:', error);
+      try {
+        abandonAutoPick(io, 'Auto-pick failed');
+      } catch (clearError) {
+        console.error('[DRAFT] Could not take the pick off the clock:', clearError);
+      }
+    }
+  }, Math.max(msLeft, 0));
+}
+
+// The clock ran out and no auto-pick could be made: take the pick off the clock
+// and leave it to the team or an admin rather than re-arm an expired clock
+function abandonAutoPick(io, reason) {
+  const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+  db.prepare('UPDATE auction_state SET timer_end = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = 1').run();
+
+  if (io && state.mode === 'draft') {
+    io.emit('draft:auto-pick-failed', {
+      round: state.draft_round,
+      pick: state.draft_pick,
+      teamId: getPickOwnerId(state, state.draft_round, state.draft_pick),
+      reason
+    });
+  }
+}
+
+// Highest-ranked available player in the team's queue, else the best available handicap.
+// Players in excluded (e.g. auto-picks that already failed) are passed over.
+function getAutoPickPlayerId(season, teamId, excluded = []) {
+  const queued = db.prepare(`
+    SELECT dq.player_id
+    FROM draft_queues dq
+    JOIN players p ON dq.player_id = p.id
+    WHERE dq.season = ? AND dq.team_id = ? AND p.is_available = 1
+      AND p.id NOT IN (SELECT player_id FROM team_roster WHERE season = ?)
+    ORDER BY dq.rank ASC
+  `).all(season, teamId, season).find(row => !excluded.includes(row.player_id));
+
+  if (queued) return queued.player_id;
+
+  const best = getDraftPool(season).find(player => !excluded.includes(player.id));
+
+  return best ? best.id : null;
+}
+
+function onPickClockExpired(io) {
+  const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+  if (state.mode !== 'draft' || !state.timer_end) return;
+
+  // Timer was pushed out since this clock was armed
+  if (new Date(state.timer_end).getTime() > Date.now()) {
+    armPickClock(io);
+    return;
+  }
+
+  const teamId = getPickOwnerId(state, state.draft_round, state.draft_pick);
+  const failed = [];
+
+  // A player the ledger turns down is passed over for the next candidate
+  let playerId = getAutoPickPlayerId(state.season, teamId);
+  while (playerId) {
+    console.log(`[DRAFT] Pick clock expired - auto-picking player ${playerId} for team ${teamId}`);
+    const result = makeDraftPick(playerId, io, { auto: true });
+
+    if (result.success) return;
+
+    // No player will fit - the pick is skipped like any other pick of a team at the cap
+    if (result.code === 'ROSTER_CAP_REACHED') {
+      console.log(`[DRAFT] Team ${teamId} is at the roster cap - skipping the pick`);
+      afterPickMoved(io, moveToNextOpenPick(state, state.draft_pick));
+      return;
+    }
+
+    console.error(`[DRAFT] Auto-pick of player ${playerId} failed: ${result.error}`);
+    failed.push(playerId);
+    playerId = getAutoPickPlayerId(state.season, teamId, failed);
+  }
+
+  console.log(failed.length > 0
+    ? '[DRAFT] Pick clock expired and no auto-pick could be made'
+    : '[DRAFT] Pick clock expired but no players are available');
+  abandonAutoPick(io, failed.length > 0 ? 'No available player could be picked' : 'No players available');
+}
+
+// Move the draft to the first pick at or after fromPick whose owner is under the roster cap,
+// skipping the rest. Reports done when the rounds are used up or the player pool is empty.
+function moveToNextOpenPick(state, fromPick) {
+  const draftOrder = state.draft_order ? JSON.parse(state.draft_order) : [];
+  const rules = getRosterRules(state.season);
+
+  if (getDraftPool(state.season).length === 0) {
+    return { done: true, reason: 'pool_exhausted', skipped: [] };
+  }
+
+  const next = findNextOpenPick({
+    fromPick,
+    totalPicks: (state.draft_rounds || rules.maxSquadSize) * draftOrder.length,
+    teamsPerRound: draftOrder.length,
+    rosterCap: state.draft_roster_cap || rules.maxSquadSize,
+    getOwnerId: (round, pick) => getPickOwnerId(state, round, pick),
+    getRosterSize: teamId => db.prepare(
+      'SELECT COUNT(*) as count FROM team_roster WHERE team_id = ? AND season = ?'
+    ).get(teamId, state.season).count
+  });
+
+  next.skipped.forEach(({ round, pick }) => markPickSkipped(state.season, draftOrder, round, pick));
+
+  if (!next.done) {
+    db.prepare(`
+      UPDATE auction_state SET
+        draft_round = ?,
+        draft_pick = ?,
+        timer_end = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = 1
+    `).run(next.round, next.pick);
+  }
+
+  return next;
+}
+
+// Each team's haul from the draft, in pick order
+function getDraftSummary(season) {
+  const picks = db.prepare(`
+    SELECT dl.*, p.handicap, u.name as player_name
+    FROM draft_log dl
+    JOIN players p ON dl.player_id = p.id
+    JOIN users u ON p.user_id = u.id
+    WHERE dl.season = ?
+    ORDER BY dl.pick_number ASC
+  `).all(season);
+
+  const teams = db.prepare(`
+    SELECT t.id, t.name,
+           (SELECT COUNT(*) FROM team_roster tr WHERE tr.team_id = t.id AND tr.season = ?) as roster_size
+    FROM teams t
+    ORDER BY t.name
+  `).all(season);
+
+  return teams.map(team => ({
+    teamId: team.id,
+    teamName: team.name,
+    rosterSize: team.roster_size,
+    picks: picks
+      .filter(pick => pick.team_id === team.id)
+      .map(pick => ({
+        round: pick.round_number,
+        pick: pick.pick_number,
+        playerId: pick.player_id,
+        playerName: pick.player_name,
+        handicap: pick.handicap
+      }))
+  }));
+}
+
+// Close the draft once nothing is left to pick and broadcast the final summary.
+// The draft settings stay behind so undoing the last pick can reopen it.
+function completeDraft(io, reason) {
+  clearPickClock();
+
+  const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+
+  db.prepare(`
+    UPDATE auction_state SET
+      mode = 'idle',
+      current_player_id = NULL,
+      timer_end = NULL,
+      draft_completed_at = CURRENT_TIMESTAMP,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = 1
+  `).run();
+
+  const summary = {
+    season: state.season,
+    reason,
+    rounds: state.draft_rounds,
+    totalPicks: db.prepare('SELECT COUNT(*) as count FROM draft_log WHERE season = ?').get(state.season).count,
+    teams: getDraftSummary(state.season)
+  };
+
+  console.log(`[DRAFT] Draft completed (${reason})`);
+
+  if (io) {
+    io.emit('draft:completed', summary);
+  }
+
+  return summary;
+}
+
+// Side effects once the draft has moved: announce skips, then finish the draft or restart the pick clock
+function afterPickMoved(io, next) {
+  if (io && next.skipped.length > 0) {
+    io.emit('draft:picks-skipped', { skipped: next.skipped });
+  }
+
+  if (next.done) {
+    return { timerEnd: null, summary: completeDraft(io, next.reason) };
+  }
+
+  // A standing pick clock restarts for the next team
+  const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+  const timerEnd = state.draft_pick_seconds ? startPickClock(io, state.draft_pick_seconds) : null;
+
+  return { timerEnd, summary: null };
+}
+
+// Record a pick for the team on the clock and advance the draft (shared by POST /pick and the pick clock)
+function makeDraftPick(playerId, io, { auto = false } = {}) {
+  const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+
+  if (state.mode !== 'draft') {
+    return { success: false, status: 400, error: 'Draft is not active' };
+  }
+
+  const draftOrder = state.draft_order ? JSON.parse(state.draft_order) : [];
+  const currentTeamId = getPickOwnerId(state, state.draft_round, state.draft_pick);
+  const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(currentTeamId);
+
+  // Check if player is available
+  const player = db.prepare(`
+    SELECT p.*, u.name, u.photo_url as user_photo
+    FROM players p
+    JOIN users u ON p.user_id = u.id
+    WHERE p.id = ? AND p.is_available = 1
+  `).get(playerId);
+
+  if (!player) {
+    return { success: false, status: 404, error: 'Player not found or not available' };
+  }
+
+  // A trade since the draft reached this pick may have filled the team's roster
+  const rosterCap = state.draft_roster_cap || getRosterRules(state.season).maxSquadSize;
+  const rosterSize = db.prepare(
+    'SELECT COUNT(*) as count FROM team_roster WHERE team_id = ? AND season = ?'
+  ).get(currentTeamId, state.season).count;
+
+  if (rosterSize >= rosterCap) {
+    return {
+      success: false,
+      status: 409,
+      error: 'Team is already at the roster cap',
+      code: 'ROSTER_CAP_REACHED',
+      details: { teamId: currentTeamId, rosterCap }
+    };
+  }
+
+  clearPickClock();
+
+  // Roster, draft log and draft state move together or not at all
+  let next;
+  try {
+    next = db.transaction(() => {
+      addToRoster({
+        teamId: currentTeamId,
+        playerId: player.id,
+        season: state.season,
+        acquisitionType: 'draft',
+        price: 0
+      });
+
+      db.prepare(`
+        INSERT INTO draft_log (round_number, pick_number, team_id, player_id, season)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(state.draft_round, state.draft_pick, currentTeamId, player.id, state.season);
+
+      markPickUsed(state.season, draftOrder, state.draft_round, state.draft_pick, player.id);
+
+      return moveToNextOpenPick(state, state.draft_pick + 1);
+    })();
+  } catch (error) {
+    if (error instanceof RosterLedgerError) {
+      // A manual pick that fails goes back on the clock it had; an expired clock is the auto-pick's to settle
+      if (!auto && state.timer_end && new Date(state.timer_end).getTime() > Date.now()) {
+        armPickClock(io);
+      }
+      return { success: false, status: error.status, error: error.message, code: error.code, details: error.details };
+    }
+    throw error;
+  }
+
+  // Calculate next team
+  const nextRound = next.done ? null : next.round;
+  const nextPick = next.done ? null : next.pick;
+  const nextTeam = next.done ? null : db.prepare('SELECT * FROM teams WHERE id = ?').get(next.teamId);
+
+  if (io) {
+    io.emit('draft:pick', {
+      round: state.draft_round,
+      pick: state.draft_pick,
+      team,
+      player,
+      auto,
+      nextRound,
+      nextPick,
+      nextTeam
+    });
+  }
+
+  const { timerEnd, summary } = afterPickMoved(io, next);
+
+  return {
+    success: true,
+    pick: {
+      round: state.draft_round,
+      pick: state.draft_pick,
+      team,
+      player,
+      auto
+    },
+    nextRound,
+    nextPick,
+    nextTeam,
+    timerEnd,
+    completed: !!summary,
+    summary
+  };
+}
+
+// True while a pick clock is counting down
+function isPickClockRunning() {
+  return !!pickClock;
+}
+
+// Re-arm the pick clock after a restart; an expired clock auto-picks straight away
+function recoverDraftClock(io) {
+  const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+  if (state.mode === 'draft' && state.timer_end) {
+    console.log(`[DRAFT] Recovering pick clock (timer end ${state.timer_end})`);
+    armPickClock(io);
+  }
+}
+
 // POST /draft/pick - Make a draft pick
 router.post('/pick', authenticateToken, (req, res) => {
   try {
@@ -140,11 +631,7 @@ router.post('/pick', authenticateToken, (req, res) => {
     }
 
     const draftOrder = state.draft_order ? JSON.parse(state.draft_order) : [];
-    const totalTeams = draftOrder.length;
-    const pickIndex = (state.draft_pick - 1) % totalTeams;
-    const isReverseRound = state.draft_round % 2 === 0;
-    const teamIndex = isReverseRound ? (totalTeams - 1 - pickIndex) : pickIndex;
-    const currentTeamId = draftOrder[teamIndex];
+    const currentTeamId = getPickOwnerId(state, state.draft_round, state.draft_pick);
 
     // Check permission
     const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(currentTeamId);
@@ -155,116 +642,549 @@ router.post('/pick', authenticateToken, (req, res) => {
       return res.status(403).json({ error: 'It is not your turn to pick' });
     }
 
-    // Check if player is available
-    const player = db.prepare(`
-      SELECT p.*, u.name, u.photo_url as user_photo
-      FROM players p
-      JOIN users u ON p.user_id = u.id
-      WHERE p.id = ? AND p.is_available = 1
-    `).get(player_id);
+    const result = makeDraftPick(player_id, req.app.get('io'));
 
-    if (!player) {
-      return res.status(404).json({ error: 'Player not found or not available' });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error, code: result.code, details: result.details });
     }
 
-    // Check if player is already drafted this season
-    const alreadyDrafted = db.prepare(
-      'SELECT * FROM team_roster WHERE player_id = ? AND season = ?'
-    ).get(player_id, state.season);
+    res.json({
+      message: 'Draft pick made',
+      pick: result.pick,
+      nextRound: result.nextRound,
+      nextPick: result.nextPick,
+      nextTeam: result.nextTeam,
+      timerEnd: result.timerEnd,
+      completed: result.completed,
+      summary: result.summary
+    });
+  } catch (error) {
+    console.error('Draft Pick Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /draft/undo - Reverse the most recent pick and put that team back on the clock (admin only)
+// Undoing the pick that completed the draft reopens it.
+router.post('/undo', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+    const reopening = state.mode === 'idle' && !!state.draft_completed_at;
 
-    if (alreadyDrafted) {
-      return res.status(400).json({ error: 'Player has already been drafted' });
+    if (state.mode !== 'draft' && !reopening) {
+      return res.status(400).json({ error: 'Draft is not active' });
     }
 
-    // Add player to team roster
-    db.prepare(`
-      INSERT INTO team_roster (team_id, player_id, acquisition_type, price, season)
-      VALUES (?, ?, 'draft', 0, ?)
-    `).run(currentTeamId, player_id, state.season);
+    const lastPick = db.prepare(`
+      SELECT dl.*, u.name as player_name
+      FROM draft_log dl
+      JOIN players p ON dl.player_id = p.id
+      JOIN users u ON p.user_id = u.id
+      WHERE dl.season = ?
+      ORDER BY dl.id DESC
+      LIMIT 1
+    `).get(state.season);
 
-    // Mark player as unavailable
-    db.prepare('UPDATE players SET is_available = 0 WHERE id = ?').run(player_id);
+    if (!lastPick) {
+      return res.status(404).json({ error: 'No picks to undo' });
+    }
 
-    // Log draft pick
-    db.prepare(`
-      INSERT INTO draft_log (round_number, pick_number, team_id, player_id, season)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(state.draft_round, state.draft_pick, currentTeamId, player_id, state.season);
+    const draftOrder = state.draft_order ? JSON.parse(state.draft_order) : [];
 
-    // Move to next pick
-    let nextPick = state.draft_pick + 1;
-    let nextRound = state.draft_round;
+    clearPickClock();
 
-    if ((nextPick - 1) % totalTeams === 0 && nextPick > state.draft_pick) {
-      nextRound++;
-      // Pick number continues incrementing
-    }
+    // Roster, pick ledger, draft log and draft position roll back together
+    db.transaction(() => {
+      removeFromRoster({ teamId: lastPick.team_id, playerId: lastPick.player_id, season: state.season });
+      releasePick(state.season, draftOrder, lastPick.round_number, lastPick.pick_number);
+      db.prepare('DELETE FROM draft_log WHERE id = ?').run(lastPick.id);
 
-    // Update draft state
-    db.prepare(`
-      UPDATE auction_state SET
-        draft_round = ?,
-        draft_pick = ?,
-        timer_end = NULL,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = 1
-    `).run(nextRound, nextPick);
+      db.prepare(`
+        UPDATE auction_state SET
+          mode = 'draft',
+          draft_round = ?,
+          draft_pick = ?,
+          draft_completed_at = NULL,
+          timer_end = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = 1
+      `).run(lastPick.round_number, lastPick.pick_number);
+    })();
 
-    // Calculate next team
-    const nextPickIndex = (nextPick - 1) % totalTeams;
-    const isNextReverseRound = nextRound % 2 === 0;
-    const nextTeamIndex = isNextReverseRound ? (totalTeams - 1 - nextPickIndex) : nextPickIndex;
-    const nextTeamId = draftOrder[nextTeamIndex];
-    const nextTeam = db.prepare('SELECT * FROM teams WHERE id = ?').get(nextTeamId);
+    const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(lastPick.team_id);
+    const player = db.prepare(`
+      SELECT p.*, u.name, u.photo_url as user_photo
+      FROM players p
+      JOIN users u ON p.user_id = u.id
+      WHERE p.id = ?
+    `).get(lastPick.player_id);
 
     const io = req.app.get('io');
     if (io) {
-      io.emit('draft:pick', {
-        round: state.draft_round,
-        pick: state.draft_pick,
+      io.emit('draft:undone', {
+        round: lastPick.round_number,
+        pick: lastPick.pick_number,
         team,
         player,
-        nextRound,
-        nextPick,
-        nextTeam
+        currentRound: lastPick.round_number,
+        currentPick: lastPick.pick_number,
+        currentTeam: team,
+        reopened: reopening
       });
     }
 
+    // A standing pick clock restarts for the team back on the clock
+    const timerEnd = state.draft_pick_seconds ? startPickClock(io, state.draft_pick_seconds) : null;
+
     res.json({
-      message: 'Draft pick made',
-      pick: {
-        round: state.draft_round,
-        pick: state.draft_pick,
+      message: reopening ? 'Draft pick undone - draft reopened' : 'Draft pick undone',
+      undone: {
+        round: lastPick.round_number,
+        pick: lastPick.pick_number,
         team,
         player
       },
-      nextRound,
-      nextPick,
-      nextTeam
+      currentRound: lastPick.round_number,
+      currentPick: lastPick.pick_number,
+      currentTeam: team,
+      reopened: reopening,
+      timerEnd
     });
   } catch (error) {
-    console.error('Draft Pick Error:', error);
+    if (error instanceof RosterLedgerError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Undo Draft Pick Error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// POST /draft/set-timer - Set timer for current pick (admin only)
-router.post('/set-timer', authenticateToken, requireAdmin, (req, res) => {
+// Owners and captains act for their own team (draft queue, trades); admins act for any team
+function canManageTeam(team, user) {
+  return user.role === 'admin' || team.owner_id === user.id || team.captain_id === user.id;
+}
+
+// GET /draft/queue/:team_id - Get a team's ranked draft queue (private to the team)
+router.get('/queue/:team_id', authenticateToken, (req, res) => {
+  try {
+    const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(req.params.team_id);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    if (!canManageTeam(team, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const state = db.prepare('SELECT season FROM auction_state WHERE id = 1').get();
+    const { season = state.season } = req.query;
+
+    const queue = db.prepare(`
+      SELECT dq.rank, dq.player_id, p.handicap, p.is_available, u.name as player_name
+      FROM draft_queues dq
+      JOIN players p ON dq.player_id = p.id
+      JOIN users u ON p.user_id = u.id
+      WHERE dq.season = ? AND dq.team_id = ?
+      ORDER BY dq.rank ASC
+    `).all(season, team.id);
+
+    res.json({ teamId: team.id, season: parseInt(season), queue });
+  } catch (error) {
+    console.error('Get Draft Queue Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /draft/queue/:team_id - Replace a team's ranked draft queue
+router.put('/queue/:team_id', authenticateToken, requireOpenSeason(), (req, res) => {
+  try {
+    const { player_ids } = req.body;
+
+    const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(req.params.team_id);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    if (!canManageTeam(team, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!Array.isArray(player_ids)) {
+      return res.status(400).json({ error: 'player_ids must be an array in ranked order' });
+    }
+
+    if (new Set(player_ids).size !== player_ids.length) {
+      return res.status(400).json({ error: 'A player can only appear once in the queue' });
+    }
+
+    const unknown = player_ids.filter(id => !db.prepare('SELECT id FROM players WHERE id = ?').get(id));
+    if (unknown.length > 0) {
+      return res.status(404).json({ error: 'Player not found', playerIds: unknown });
+    }
+
+    const state = db.prepare('SELECT season FROM auction_state WHERE id = 1').get();
+    const { season = state.season } = req.body;
+
+    const insert = db.prepare(`
+      INSERT INTO draft_queues (season, team_id, player_id, rank) VALUES (?, ?, ?, ?)
+    `);
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM draft_queues WHERE season = ? AND team_id = ?').run(season, team.id);
+      player_ids.forEach((playerId, index) => insert.run(season, team.id, playerId, index + 1));
+    })();
+
+    res.json({ message: 'Draft queue updated', teamId: team.id, season, playerIds: player_ids });
+  } catch (error) {
+    console.error('Update Draft Queue Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Trade with its items, described for clients
+function getTradeWithItems(tradeId) {
+  const trade = db.prepare(`
+    SELECT dt.*, pt.name as proposing_team_name, rt.name as receiving_team_name
+    FROM draft_trades dt
+    JOIN teams pt ON dt.proposing_team_id = pt.id
+    JOIN teams rt ON dt.receiving_team_id = rt.id
+    WHERE dt.id = ?
+  `).get(tradeId);
+
+  if (!trade) return null;
+
+  trade.items = db.prepare(`
+    SELECT dti.*, dp.round_number, dp.slot, u.name as player_name
+    FROM draft_trade_items dti
+    LEFT JOIN draft_picks dp ON dti.pick_id = dp.id
+    LEFT JOIN players p ON dti.player_id = p.id
+    LEFT JOIN users u ON p.user_id = u.id
+    WHERE dti.trade_id = ?
+    ORDER BY dti.id ASC
+  `).all(tradeId);
+
+  return trade;
+}
+
+// GET /draft/picks - Draft pick ownership ledger for a season
+router.get('/picks', optionalAuth, (req, res) => {
+  try {
+    const { season = getCurrentSeasonId() } = req.query;
+    res.json({ season: parseInt(season), picks: getDraftPicks(season) });
+  } catch (error) {
+    console.error('Get Draft Picks Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /draft/trades - List trades for a season
+router.get('/trades', optionalAuth, (req, res) => {
+  try {
+    const { season = getCurrentSeasonId(), status } = req.query;
+
+    let query = 'SELECT id FROM draft_trades WHERE season = ?';
+    const params = [season];
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY created_at DESC, id DESC';
+
+    const trades = db.prepare(query).all(...params).map(row => getTradeWithItems(row.id));
+
+    res.json({ trades });
+  } catch (error) {
+    console.error('Get Draft Trades Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /draft/trades - Propose a trade of draft picks and/or rostered players to another team
+router.post('/trades', authenticateToken, requireOpenSeason(), (req, res) => {
+  try {
+    const {
+      season = getCurrentSeasonId(),
+      from_team_id,
+      to_team_id,
+      give_pick_ids = [],
+      give_player_ids = [],
+      receive_pick_ids = [],
+      receive_player_ids = [],
+      note
+    } = req.body;
+
+    if (!from_team_id || !to_team_id || from_team_id === to_team_id) {
+      return res.status(400).json({ error: 'Two different teams are required' });
+    }
+
+    const idLists = { give_pick_ids, give_player_ids, receive_pick_ids, receive_player_ids };
+    for (const [field, ids] of Object.entries(idLists)) {
+      if (!Array.isArray(ids) || !ids.every(id => Number.isInteger(id) && id > 0)) {
+        return res.status(400).json({ error: `${field} must be an array of ids` });
+      }
+    }
+
+    const fromTeam = db.prepare('SELECT * FROM teams WHERE id = ?').get(from_team_id);
+    const toTeam = db.prepare('SELECT * FROM teams WHERE id = ?').get(to_team_id);
+    if (!fromTeam || !toTeam) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    if (!canManageTeam(fromTeam, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const items = [
+      ...give_pick_ids.map(id => ({ from_team_id: fromTeam.id, to_team_id: toTeam.id, item_type: 'pick', pick_id: id })),
+      ...give_player_ids.map(id => ({ from_team_id: fromTeam.id, to_team_id: toTeam.id, item_type: 'player', player_id: id })),
+      ...receive_pick_ids.map(id => ({ from_team_id: toTeam.id, to_team_id: fromTeam.id, item_type: 'pick', pick_id: id })),
+      ...receive_player_ids.map(id => ({ from_team_id: toTeam.id, to_team_id: fromTeam.id, item_type: 'player', player_id: id }))
+    ];
+
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'A trade needs at least one pick or player' });
+    }
+
+    const itemError = validateTradeItems(season, items);
+    if (itemError) {
+      return res.status(409).json({ error: itemError });
+    }
+
+    const insertItem = db.prepare(`
+      INSERT INTO draft_trade_items (trade_id, from_team_id, to_team_id, item_type, pick_id, player_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    const tradeId = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO draft_trades (season, proposing_team_id, receiving_team_id, note, proposed_by)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(season, fromTeam.id, toTeam.id, note || null, req.user.id);
+
+      items.forEach(item => insertItem.run(
+        result.lastInsertRowid, item.from_team_id, item.to_team_id, item.item_type, item.pick_id || null, item.player_id || null
+      ));
+
+      return result.lastInsertRowid;
+    })();
+
+    const trade = getTradeWithItems(tradeId);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.emit('draft:trade-proposed', trade);
+    }
+
+    res.status(201).json({ message: 'Trade proposed - awaiting admin approval', trade });
+  } catch (error) {
+    console.error('Propose Draft Trade Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /draft/trades/:id/approve - Approve a pending trade and apply it (admin only)
+router.post('/trades/:id/approve', authenticateToken, requireAdmin, requireOpenSeason(tradeSeason), (req, res) => {
+  try {
+    const trade = getTradeWithItems(req.params.id);
+    if (!trade) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+
+    if (trade.status !== 'pending') {
+      return res.status(400).json({ error: `Trade is already ${trade.status}` });
+    }
+
+    executeTrade(trade, trade.items, req.user.id);
+
+    const approved = getTradeWithItems(trade.id);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.emit('draft:trade-approved', { trade: approved, picks: getDraftPicks(trade.season) });
+    }
+
+    res.json({ message: 'Trade approved', trade: approved });
+  } catch (error) {
+    if (error instanceof RosterLedgerError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Approve Draft Trade Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /draft/trades/:id/reject - Reject a pending trade (admin only)
+router.post('/trades/:id/reject', authenticateToken, requireAdmin, requireOpenSeason(tradeSeason), (req, res) => {
   try {
-    const { seconds = 120 } = req.body;
+    const trade = db.prepare('SELECT * FROM draft_trades WHERE id = ?').get(req.params.id);
+    if (!trade) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
 
-    const timerEnd = new Date(Date.now() + seconds * 1000).toISOString();
+    if (trade.status !== 'pending') {
+      return res.status(400).json({ error: `Trade is already ${trade.status}` });
+    }
 
     db.prepare(`
-      UPDATE auction_state SET timer_end = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1
-    `).run(timerEnd);
+      UPDATE draft_trades SET status = 'rejected', resolved_by = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(req.user.id, trade.id);
+
+    const rejected = getTradeWithItems(trade.id);
 
     const io = req.app.get('io');
     if (io) {
-      io.emit('draft:timer', { timerEnd, seconds });
+      io.emit('draft:trade-rejected', rejected);
     }
 
-    res.json({ message: 'Timer set', timerEnd, seconds });
+    res.json({ message: 'Trade rejected', trade: rejected });
+  } catch (error) {
+    console.error('Reject Draft Trade Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /draft/mock - Start a sandboxed mock draft against a snapshot of the current pool
+// Seats in user_team_ids are played by the caller; every other seat is a bot
+router.post('/mock', authenticateToken, (req, res) => {
+  try {
+    const state = db.prepare('SELECT season FROM auction_state WHERE id = 1').get();
+    const {
+      season = state.season,
+      team_order,
+      format = 'snake',
+      rounds = getRosterRules(season).maxSquadSize,
+      roster_cap = getRosterRules(season).maxSquadSize,
+      lottery_seed,
+      user_team_ids,
+      bot_strategy = 'best_handicap',
+      bot_strategies = {}
+    } = req.body;
+
+    if (!DRAFT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${DRAFT_FORMATS.join(', ')}` });
+    }
+
+    if (!Number.isInteger(rounds) || rounds < 1 || !Number.isInteger(roster_cap) || roster_cap < 1) {
+      return res.status(400).json({ error: 'Rounds and roster cap must be positive whole numbers' });
+    }
+
+    const strategies = [bot_strategy, ...Object.values(bot_strategies)];
+    if (strategies.some(strategy => !BOT_STRATEGIES.includes(strategy))) {
+      return res.status(400).json({ error: `Bot strategy must be one of: ${BOT_STRATEGIES.join(', ')}` });
+    }
+
+    const teams = db.prepare('SELECT * FROM teams ORDER BY name').all();
+
+    let teamOrder = teams.map(t => t.id);
+    if (team_order !== undefined && team_order !== null) {
+      if (!Array.isArray(team_order) || team_order.length === 0) {
+        return res.status(400).json({ error: 'Team order must be a non-empty array of team ids' });
+      }
+
+      teamOrder = team_order.map(id => parseInt(id));
+      if (teamOrder.some(id => !teams.some(team => team.id === id))) {
+        return res.status(400).json({ error: 'Team order contains a team that does not exist' });
+      }
+      if (new Set(teamOrder).size !== teamOrder.length) {
+        return res.status(400).json({ error: 'Team order cannot list a team twice' });
+      }
+    }
+
+    // By default the caller takes the seats of the teams they run
+    const seatedTeamIds = Array.isArray(user_team_ids)
+      ? user_team_ids.map(id => parseInt(id))
+      : teams.filter(team => team.owner_id === req.user.id || team.captain_id === req.user.id).map(team => team.id);
+
+    const userSeats = {};
+    for (const teamId of seatedTeamIds) {
+      const team = teams.find(t => t.id === teamId);
+      if (!team || !teamOrder.includes(teamId)) {
+        return res.status(400).json({ error: `Team ${teamId} is not in the draft order` });
+      }
+      if (!canManageTeam(team, req.user)) {
+        return res.status(403).json({ error: `You cannot take the seat for ${team.name}` });
+      }
+      userSeats[teamId] = req.user.id;
+    }
+
+    const mockId = createMockDraft({
+      season,
+      format,
+      rounds,
+      rosterCap: roster_cap,
+      teamOrder,
+      lotterySeed: lottery_seed,
+      userSeats,
+      botStrategy: bot_strategy,
+      botStrategies: bot_strategies,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({ message: 'Mock draft started', mock: getMockDraft(mockId) });
+  } catch (error) {
+    console.error('Create Mock Draft Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /draft/mock/:id - Get a mock draft board (shareable by id)
+router.get('/mock/:id', optionalAuth, (req, res) => {
+  try {
+    const mock = getMockDraft(req.params.id);
+
+    if (!mock) {
+      return res.status(404).json({ error: 'Mock draft not found' });
+    }
+
+    res.json({ mock });
+  } catch (error) {
+    console.error('Get Mock Draft Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /draft/mock/:id/pick - Make a pick for a human seat in a mock draft
+router.post('/mock/:id/pick', authenticateToken, (req, res) => {
+  try {
+    const { player_id } = req.body;
+
+    if (!player_id) {
+      return res.status(400).json({ error: 'Player ID is required' });
+    }
+
+    const result = makeMockPick(req.params.id, req.user, player_id);
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Mock pick made', mock: result.mock });
+  } catch (error) {
+    console.error('Mock Draft Pick Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /draft/set-timer - Set timer for current pick (admin only)
+// When the timer runs out the team on the clock is auto-picked. every_pick keeps the clock running for later picks.
+router.post('/set-timer', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { seconds = 120, every_pick } = req.body;
+
+    const state = db.prepare('SELECT * FROM auction_state WHERE id = 1').get();
+    if (state.mode !== 'draft') {
+      return res.status(400).json({ error: 'Draft is not active' });
+    }
+
+    if (every_pick !== undefined) {
+      db.prepare('UPDATE auction_state SET draft_pick_seconds = ? WHERE id = 1').run(every_pick ? seconds : null);
+    }
+
+    const timerEnd = startPickClock(req.app.get('io'), seconds);
+
+    res.json({ message: 'Timer set', timerEnd, seconds, everyPick: !!(every_pick ?? state.draft_pick_seconds) });
   } catch (error) {
     console.error('Set Timer Error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -280,11 +1200,15 @@ router.post('/end', authenticateToken, requireAdmin, (req, res) => {
         current_player_id = NULL,
         draft_round = 1,
         draft_pick = 1,
+        draft_pick_seconds = NULL,
+        draft_completed_at = NULL,
         timer_end = NULL,
         updated_at = CURRENT_TIMESTAMP
       WHERE id = 1
     `).run();
 
+    clearPickClock();
+
     const io = req.app.get('io');
     if (io) {
       io.emit('draft:ended');
@@ -300,7 +1224,7 @@ router.post('/end', authenticateToken, requireAdmin, (req, res) => {
 // GET /draft/log - Get draft history
 router.get('/log', optionalAuth, (req, res) => {
   try {
-    const { season = 1 } = req.query;
+    const { season = getCurrentSeasonId() } = req.query;
 
     const log = db.prepare(`
       SELECT dl.*, p.handicap, u.name as player_name, t.name as team_name
@@ -319,4 +1243,7 @@ router.get('/log', optionalAuth, (req, res) => {
   }
 });
 
+router.recoverDraftClock = recoverDraftClock;
+router.isPickClockRunning = isPickClockRunning;
+
 module.exports = router;
@@ -2,11 +2,64 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../database');
 const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { matchSeason, requireOpenSeason } = require('../middleware/season');
+const {
+  HOLES_IN_ROUND,
+  RUBBER_FORMATS,
+  ordinal,
+  allowsExtraHoles,
+  getRubbers,
+  getRubberPlayers,
+  getScoringPlayerId,
+  calculateMatchState,
+  getScorecard,
+  recalculateMatch
+} = require('../services/matchPlay');
+const {
+  isMatchOfficial,
+  getSubmittingTeamId,
+  submitScore,
+  resolveDispute,
+  getOpenDisputes,
+  getScoreHistory
+} = require('../services/scoreVerification');
+const { getPlayedMatches, generateSeasonFixtures } = require('../services/fixtureGenerator');
+const { advancePlayoffs } = require('../services/playoffs');
+const { getCurrentSeasonId } = require('../services/seasons');
+
+// A finished knockout match sends its winner (and loser, where the bracket uses it) on
+function updatePlayoffs(io, match) {
+  if (match.stage !== 'playoff') return;
+
+  const playoffs = advancePlayoffs(match.season);
+  if (io && playoffs) {
+    io.emit('playoffs:updated', playoffs);
+  }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+// Handicap allowance is a whole percentage of the handicap difference, e.g. 90
+function isValidAllowance(allowance) {
+  return Number.isInteger(allowance) && allowance >= 0 && allowance <= 100;
+}
+
+// Extra holes start from a hole on the course, 1-18
+function isValidStartHole(hole) {
+  return Number.isInteger(hole) && hole >= 1 && hole <= HOLES_IN_ROUND;
+}
+
+// The sheet entry for a hole: one of the 18, or an extra hole
+function findHole(matchState, holeNumber) {
+  if (holeNumber <= HOLES_IN_ROUND) return matchState.holes[holeNumber - 1];
+  return (matchState.extraHoles || []).find(hole => hole.hole === holeNumber) || null;
+}
 
 // GET /matches - Get all matches
 router.get('/', optionalAuth, (req, res) => {
   try {
-    const { status, round, team_id, season = 1, limit = 50, offset = 0 } = req.query;
+    const { status, round, team_id, season = getCurrentSeasonId(), limit = 50, offset = 0 } = req.query;
 
     let query = `
       SELECT m.*,
@@ -65,29 +118,34 @@ router.get('/live', optionalAuth, (req, res) => {
     // Get scores for each live match
     const matchesWithScores = matches.map(match => {
       const scores = db.prepare(`
-        SELECT hole_number, team_id, result
+        SELECT rubber_id, hole_number, team_id, result
         FROM match_scores
         WHERE match_id = ?
         ORDER BY hole_number ASC
       `).all(match.id);
 
-      // Calculate standing
-      let team1Score = 0;
-      let team2Score = 0;
-      let lastHole = 0;
-
-      scores.forEach(score => {
-        if (score.team_id === match.team1_id && score.result === 'won') team1Score++;
-        if (score.team_id === match.team2_id && score.result === 'won') team2Score++;
-        lastHole = Math.max(lastHole, score.hole_number);
-      });
+      const matchState = calculateMatchState(match);
 
       return {
         ...match,
         scores,
-        standing: team1Score - team2Score,
-        holesPlayed: lastHole,
-        toPlay: 18 - lastHole
+        standing: matchState.standing,
+        holesPlayed: matchState.holesPlayed,
+        toPlay: matchState.toPlay,
+        isDormie: matchState.isDormie,
+        statusText: matchState.statusText,
+        ...(matchState.type === 'fixture' && {
+          team1Points: matchState.team1Points,
+          team2Points: matchState.team2Points,
+          rubbers: matchState.rubbers.map(rubber => ({
+            rubberId: rubber.rubberId,
+            rubberNumber: rubber.rubberNumber,
+            format: rubber.format,
+            standing: rubber.standing,
+            holesPlayed: rubber.holesPlayed,
+            statusText: rubber.statusText
+          }))
+        })
       };
     });
 
@@ -126,9 +184,21 @@ router.get('/:id', optionalAuth, (req, res) => {
       LEFT JOIN players p ON ms.player_id = p.id
       LEFT JOIN users u ON p.user_id = u.id
       WHERE ms.match_id = ?
-      ORDER BY ms.hole_number ASC, ms.team_id ASC
+      ORDER BY ms.rubber_id ASC, ms.hole_number ASC, ms.team_id ASC
+    `).all(id);
+
+    // Gross strokes as entered, and the canonical match-play picture derived from them
+    const holeScores = db.prepare(`
+      SELECT hs.*, u.name as player_name
+      FROM hole_scores hs
+      JOIN players p ON hs.player_id = p.id
+      JOIN users u ON p.user_id = u.id
+      WHERE hs.match_id = ?
+      ORDER BY hs.rubber_id ASC, hs.hole_number ASC, hs.team_id ASC
     `).all(id);
 
+    const matchState = calculateMatchState(match);
+
     // Get team rosters for this match
     const team1Roster = db.prepare(`
       SELECT p.*, u.name
@@ -149,6 +219,8 @@ router.get('/:id', optionalAuth, (req, res) => {
     res.json({
       match,
       scores,
+      holeScores,
+      matchState,
       team1Roster,
       team2Roster
     });
@@ -158,10 +230,52 @@ router.get('/:id', optionalAuth, (req, res) => {
   }
 });
 
+// GET /matches/:id/scorecard - Gross, strokes received and net for every player on every hole
+router.get('/:id/scorecard', optionalAuth, (req, res) => {
+  try {
+    const match = db.prepare(`
+      SELECT m.*,
+             t1.name as team1_name, t2.name as team2_name
+      FROM matches m
+      JOIN teams t1 ON m.team1_id = t1.id
+      JOIN teams t2 ON m.team2_id = t2.id
+      WHERE m.id = ?
+    `).get(req.params.id);
+
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    // Fixtures have a card per rubber
+    const rubbers = getRubbers(match.id);
+    if (rubbers.length > 0) {
+      const { rubber_id } = req.query;
+
+      if (rubber_id) {
+        const rubber = rubbers.find(r => r.id === parseInt(rubber_id));
+        if (!rubber) {
+          return res.status(404).json({ error: 'Rubber not found' });
+        }
+        return res.json({ match, scorecard: getScorecard(match, rubber) });
+      }
+
+      return res.json({ match, scorecards: rubbers.map(rubber => getScorecard(match, rubber)) });
+    }
+
+    res.json({ match, scorecard: getScorecard(match) });
+  } catch (error) {
+    console.error('Get Scorecard Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // POST /matches - Create new match
-router.post('/', authenticateToken, requireAdmin, (req, res) => {
+router.post('/', authenticateToken, requireAdmin, requireOpenSeason(), (req, res) => {
   try {
-    const { round_number, team1_id, team2_id, match_date, tee_time, venue, season = 1 } = req.body;
+    const {
+      round_number, team1_id, team2_id, match_date, tee_time, venue, season = getCurrentSeasonId(),
+      course_id, handicap_allowance = 100, referee_user_id, allow_extra_holes = false, extra_holes_start = 1
+    } = req.body;
 
     if (!round_number || !team1_id || !team2_id) {
       return res.status(400).json({ error: 'Round number and both team IDs are required' });
@@ -171,10 +285,32 @@ router.post('/', authenticateToken, requireAdmin, (req, res) => {
       return res.status(400).json({ error: 'Teams must be different' });
     }
 
+    if (course_id && !db.prepare('SELECT 1 FROM courses WHERE id = ?').get(course_id)) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    if (!isValidAllowance(handicap_allowance)) {
+      return res.status(400).json({ error: 'Handicap allowance must be a whole percentage between 0 and 100' });
+    }
+
+    if (referee_user_id && !db.prepare('SELECT 1 FROM users WHERE id = ?').get(referee_user_id)) {
+      return res.status(404).json({ error: 'Referee not found' });
+    }
+
+    if (!isValidStartHole(extra_holes_start)) {
+      return res.status(400).json({ error: `Extra holes must start from a hole between 1 and ${HOLES_IN_ROUND}` });
+    }
+
     const result = db.prepare(`
-      INSERT INTO matches (round_number, team1_id, team2_id, match_date, tee_time, venue, season)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `).run(round_number, team1_id, team2_id, match_date || null, tee_time || null, venue || 'KGA', season);
+      INSERT INTO matches (
+        round_number, team1_id, team2_id, match_date, tee_time, venue, season, course_id, handicap_allowance, referee_user_id,
+        allow_extra_holes, extra_holes_start
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      round_number, team1_id, team2_id, match_date || null, tee_time || null, venue || 'KGA', season,
+      course_id || null, handicap_allowance, referee_user_id || null, allow_extra_holes ? 1 : 0, extra_holes_start
+    );
 
     const match = db.prepare(`
       SELECT m.*,
@@ -192,11 +328,127 @@ router.post('/', authenticateToken, requireAdmin, (req, res) => {
   }
 });
 
+// POST /matches/generate - Build a season's round-robin schedule (admin only)
+// Body: { season, team_ids, double, start_date, days_between_rounds, tee_times, blackout_dates, venues,
+//         home_venues, course_id, handicap_allowance }
+router.post('/generate', authenticateToken, requireAdmin, requireOpenSeason(), (req, res) => {
+  try {
+    const {
+      season = getCurrentSeasonId(), team_ids, double = false, start_date, days_between_rounds, tee_times, blackout_dates,
+      venues, home_venues, course_id, handicap_allowance = 100
+    } = req.body;
+
+    if (team_ids !== undefined && (!Array.isArray(team_ids) || !team_ids.every(id => Number.isInteger(id)))) {
+      return res.status(400).json({ error: 'Team IDs must be a list of team ids' });
+    }
+
+    if (typeof double !== 'boolean') {
+      return res.status(400).json({ error: 'Double must be true or false' });
+    }
+
+    const teamIds = team_ids || db.prepare('SELECT id FROM teams ORDER BY id').all().map(team => team.id);
+
+    if (teamIds.length < 2 || new Set(teamIds).size !== teamIds.length) {
+      return res.status(400).json({ error: 'At least two different teams are required' });
+    }
+
+    const knownTeams = db.prepare(`
+      SELECT COUNT(*) as count FROM teams WHERE id IN (${teamIds.map(() => '?').join(', ')})
+    `).get(...teamIds);
+    if (knownTeams.count !== teamIds.length) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    if (!start_date || !DATE_PATTERN.test(start_date)) {
+      return res.status(400).json({ error: 'Start date (YYYY-MM-DD) is required' });
+    }
+
+    if (days_between_rounds !== undefined && (!Number.isInteger(days_between_rounds) || days_between_rounds < 1)) {
+      return res.status(400).json({ error: 'Days between rounds must be a positive whole number' });
+    }
+
+    if (tee_times !== undefined && (!Array.isArray(tee_times) || tee_times.length === 0 || !tee_times.every(t => TIME_PATTERN.test(t)))) {
+      return res.status(400).json({ error: 'Tee times must be a list of HH:MM times' });
+    }
+
+    if (blackout_dates !== undefined && (!Array.isArray(blackout_dates) || !blackout_dates.every(d => DATE_PATTERN.test(d)))) {
+      return res.status(400).json({ error: 'Blackout dates must be a list of YYYY-MM-DD dates' });
+    }
+
+    if (venues !== undefined && (!Array.isArray(venues) || venues.length === 0)) {
+      return res.status(400).json({ error: 'Venues must be a non-empty list' });
+    }
+
+    if (home_venues !== undefined && (
+      !home_venues || typeof home_venues !== 'object' || Array.isArray(home_venues) ||
+      !Object.values(home_venues).every(venue => typeof venue === 'string' && venue.trim())
+    )) {
+      return res.status(400).json({ error: 'Home venues must map team ids to venue names' });
+    }
+
+    if (course_id && !db.prepare('SELECT 1 FROM courses WHERE id = ?').get(course_id)) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    if (!isValidAllowance(handicap_allowance)) {
+      return res.status(400).json({ error: 'Handicap allowance must be a whole percentage between 0 and 100' });
+    }
+
+    // Never throw away a result: regenerating is only allowed while no fixture has been played
+    const played = getPlayedMatches(season);
+    if (played.length > 0) {
+      return res.status(409).json({
+        error: 'Season already has fixtures with scores; they cannot be regenerated',
+        matchIds: played.map(match => match.id)
+      });
+    }
+
+    const matchIds = generateSeasonFixtures({
+      season,
+      teamIds,
+      double,
+      calendar: {
+        startDate: start_date,
+        daysBetweenRounds: days_between_rounds,
+        teeTimes: tee_times,
+        blackoutDates: blackout_dates,
+        venues,
+        homeVenues: home_venues
+      },
+      courseId: course_id,
+      handicapAllowance: handicap_allowance
+    });
+
+    const matches = db.prepare(`
+      SELECT m.*,
+             t1.name as team1_name, t2.name as team2_name
+      FROM matches m
+      JOIN teams t1 ON m.team1_id = t1.id
+      JOIN teams t2 ON m.team2_id = t2.id
+      WHERE m.season = ?
+      ORDER BY m.round_number ASC, m.match_date ASC, m.tee_time ASC
+    `).all(season);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.emit('matches:generated', { season, count: matchIds.length });
+    }
+
+    res.status(201).json({ season, rounds: Math.max(...matches.map(match => match.round_number)), matches });
+  } catch (error) {
+    console.error('Generate Fixtures Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // PUT /matches/:id - Update match
-router.put('/:id', authenticateToken, (req, res) => {
+router.put('/:id', authenticateToken, requireOpenSeason(matchSeason), (req, res) => {
   try {
     const { id } = req.params;
-    const { status, match_date, tee_time, venue, winner_id, final_result } = req.body;
+    const {
+      status, match_date, tee_time, venue, winner_id, final_result, course_id, handicap_allowance, referee_user_id,
+      allow_extra_holes, extra_holes_start
+    } = req.body;
 
     const match = db.prepare('SELECT * FROM matches WHERE id = ?').get(id);
     if (!match) {
@@ -250,6 +502,45 @@ router.put('/:id', authenticateToken, (req, res) => {
       params.push(final_result);
     }
 
+    // Course and allowance change how strokes are allocated, so only an admin can set them
+    if (course_id !== undefined && isAdmin) {
+      if (course_id !== null && !db.prepare('SELECT 1 FROM courses WHERE id = ?').get(course_id)) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      updates.push('course_id = ?');
+      params.push(course_id);
+    }
+
+    if (handicap_allowance !== undefined && isAdmin) {
+      if (!isValidAllowance(handicap_allowance)) {
+        return res.status(400).json({ error: 'Handicap allowance must be a whole percentage between 0 and 100' });
+      }
+      updates.push('handicap_allowance = ?');
+      params.push(handicap_allowance);
+    }
+
+    if (referee_user_id !== undefined && isAdmin) {
+      if (referee_user_id !== null && !db.prepare('SELECT 1 FROM users WHERE id = ?').get(referee_user_id)) {
+        return res.status(404).json({ error: 'Referee not found' });
+      }
+      updates.push('referee_user_id = ?');
+      params.push(referee_user_id);
+    }
+
+    // Whether a halved match goes to extra holes decides its result, so only an admin can change it
+    if (allow_extra_holes !== undefined && isAdmin) {
+      updates.push('allow_extra_holes = ?');
+      params.push(allow_extra_holes ? 1 : 0);
+    }
+
+    if (extra_holes_start !== undefined && isAdmin) {
+      if (!isValidStartHole(extra_holes_start)) {
+        return res.status(400).json({ error: `Extra holes must start from a hole between 1 and ${HOLES_IN_ROUND}` });
+      }
+      updates.push('extra_holes_start = ?');
+      params.push(extra_holes_start);
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No valid fields to update' });
     }
@@ -259,6 +550,13 @@ router.put('/:id', authenticateToken, (req, res) => {
 
     db.prepare(`UPDATE matches SET ${updates.join(', ')} WHERE id = ?`).run(...params);
 
+    // Re-derive hole results when the handicap basis or extra-hole setup of a scored match changes
+    const rescore = isAdmin && [course_id, handicap_allowance, allow_extra_holes, extra_holes_start]
+      .some(value => value !== undefined);
+    if (rescore && db.prepare('SELECT 1 FROM hole_scores WHERE match_id = ? LIMIT 1').get(id)) {
+      recalculateMatch(match.id);
+    }
+
     const updatedMatch = db.prepare(`
       SELECT m.*,
              t1.name as team1_name, t2.name as team2_name,
@@ -272,6 +570,7 @@ router.put('/:id', authenticateToken, (req, res) => {
 
     // Emit socket event for live updates
     const io = req.app.get('io');
+    updatePlayoffs(io, updatedMatch);
     if (io) {
       io.to(`match-${id}`).emit('match:updated', updatedMatch);
       if (status === 'live' || status === 'completed') {
@@ -286,22 +585,29 @@ router.put('/:id', authenticateToken, (req, res) => {
   }
 });
 
-// POST /matches/:id/score - Record hole score
-router.post('/:id/score', authenticateToken, (req, res) => {
+// POST /matches/:id/score - Record a player's gross strokes on a hole
+// Each side enters strokes for every player on the hole; a hole only counts once both entries agree.
+// Admins and the match referee enter final scores. Hole winners, standing and results are derived server-side.
+router.post('/:id/score', authenticateToken, requireOpenSeason(matchSeason), (req, res) => {
   try {
     const { id } = req.params;
-    const { hole_number, team_id, result, player_id } = req.body;
+    const { hole_number, strokes } = req.body;
 
-    if (!hole_number || !team_id || !result) {
-      return res.status(400).json({ error: 'Hole number, team ID, and result are required' });
+    // Ids may arrive as strings; parse them before comparing with database ids
+    const teamId = parseInt(req.body.team_id);
+    const playerId = parseInt(req.body.player_id);
+    const rubberId = req.body.rubber_id ? parseInt(req.body.rubber_id) : null;
+
+    if (!hole_number || !teamId || !playerId || !strokes) {
+      return res.status(400).json({ error: 'Hole number, team ID, player ID and strokes are required' });
     }
 
-    if (hole_number < 1 || hole_number > 18) {
-      return res.status(400).json({ error: 'Hole number must be between 1 and 18' });
+    if (!Number.isInteger(hole_number) || hole_number < 1) {
+      return res.status(400).json({ error: 'Hole number must be a whole number from 1' });
     }
 
-    if (!['won', 'lost', 'squared'].includes(result)) {
-      return res.status(400).json({ error: 'Result must be won, lost, or squared' });
+    if (!Number.isInteger(strokes) || strokes < 1 || strokes > 20) {
+      return res.status(400).json({ error: 'Strokes must be a whole number between 1 and 20' });
     }
 
     const match = db.prepare('SELECT * FROM matches WHERE id = ?').get(id);
@@ -310,100 +616,156 @@ router.post('/:id/score', authenticateToken, (req, res) => {
     }
 
     // Verify team is part of the match
-    if (team_id !== match.team1_id && team_id !== match.team2_id) {
+    if (teamId !== match.team1_id && teamId !== match.team2_id) {
       return res.status(400).json({ error: 'Team is not part of this match' });
     }
 
-    // Check permission
-    const isAdmin = req.user.role === 'admin';
-    const isTeamMember = db.prepare(`
-      SELECT 1 FROM teams
-      WHERE id = ? AND (owner_id = ? OR captain_id = ?)
-    `).get(team_id, req.user.id, req.user.id);
+    const onRoster = db.prepare(`
+      SELECT 1 FROM team_roster WHERE team_id = ? AND player_id = ? AND season = ?
+    `).get(teamId, playerId, match.season);
 
-    const isPlayer = db.prepare(`
-      SELECT 1 FROM players p
-      JOIN team_roster tr ON p.id = tr.player_id
-      WHERE p.user_id = ? AND tr.team_id = ?
-    `).get(req.user.id, team_id);
-
-    if (!isAdmin && !isTeamMember && !isPlayer) {
-      return res.status(403).json({ error: 'Access denied' });
+    if (!onRoster) {
+      return res.status(400).json({ error: 'Player is not on this team\'s roster' });
     }
 
-    // Insert or update score
-    db.prepare(`
-      INSERT INTO match_scores (match_id, hole_number, team_id, result, player_id)
-      VALUES (?, ?, ?, ?, ?)
-      ON CONFLICT(match_id, hole_number, team_id) DO UPDATE SET
-        result = excluded.result,
-        player_id = excluded.player_id,
-        recorded_at = CURRENT_TIMESTAMP
-    `).run(id, hole_number, team_id, result, player_id || null);
+    // A fixture with rubbers is scored rubber by rubber, by the players assigned to each
+    const rubbers = getRubbers(match.id);
+    let rubber = null;
+    let scoringPlayerId = playerId;
+
+    if (rubbers.length > 0) {
+      rubber = rubbers.find(r => r.id === rubberId);
+      if (!rubber) {
+        return res.status(400).json({ error: 'A rubber ID from this match is required' });
+      }
+
+      const rubberPlayers = getRubberPlayers(rubber.id);
+      if (!rubberPlayers.some(p => p.team_id === teamId && p.player_id === playerId)) {
+        return res.status(400).json({ error: 'Player is not playing in this rubber' });
+      }
 
-    // If match is not live yet, set it to live
-    if (match.status === 'scheduled') {
-      db.prepare('UPDATE matches SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
-        .run('live', id);
+      scoringPlayerId = getScoringPlayerId(rubber, rubberPlayers, teamId, playerId);
+    } else if (rubberId) {
+      return res.status(400).json({ error: 'This match has no rubbers' });
     }
 
-    // Get updated scores
-    const scores = db.prepare(`
-      SELECT hole_number, team_id, result
-      FROM match_scores
-      WHERE match_id = ?
-      ORDER BY hole_number ASC
-    `).all(id);
+    // Holes beyond the 18th are extra holes, played one at a time once a match that allows them is all square
+    if (hole_number > HOLES_IN_ROUND) {
+      if (!allowsExtraHoles(match)) {
+        return res.status(400).json({ error: `Hole number must be between 1 and ${HOLES_IN_ROUND}` });
+      }
 
-    // Calculate current standing
-    let team1Score = 0;
-    let team2Score = 0;
+      if (rubber) {
+        return res.status(400).json({ error: 'Extra holes in a fixture with rubbers are called through sudden death' });
+      }
 
-    scores.forEach(score => {
-      if (score.team_id === match.team1_id && score.result === 'won') team1Score++;
-      if (score.team_id === match.team2_id && score.result === 'won') team2Score++;
-    });
+      const { suddenDeath } = calculateMatchState(match);
+      if (!suddenDeath) {
+        return res.status(400).json({ error: `Extra holes are only played when the match is all square after ${HOLES_IN_ROUND}` });
+      }
 
-    const standing = team1Score - team2Score;
-    const holesPlayed = scores.length / 2; // Assuming both teams record
+      const lastHole = HOLES_IN_ROUND + suddenDeath.holes.length + (suddenDeath.decided ? 0 : 1);
+      if (hole_number > lastHole) {
+        return res.status(400).json({
+          error: suddenDeath.decided
+            ? `Match was decided at the ${ordinal(lastHole)}`
+            : `The next extra hole is the ${ordinal(lastHole)}`
+        });
+      }
+    }
 
-    // Check if match is over (dormie + won, or all 18 played)
-    const toPlay = 18 - holesPlayed;
-    const isMatchOver = holesPlayed >= 18 || Math.abs(standing) > toPlay;
+    // Check permission: officials enter final scores, otherwise the user marks for their own side
+    const isOfficial = isMatchOfficial(match, req.user);
+    const submittingTeamId = isOfficial ? null : getSubmittingTeamId(match, req.user);
 
-    if (isMatchOver && match.status === 'live') {
-      const winner_id = standing > 0 ? match.team1_id : standing < 0 ? match.team2_id : null;
-      const final_result = standing === 0 ? 'Draw' :
-        `${Math.abs(standing)}&${toPlay === 0 ? '0' : toPlay}`;
+    if (!isOfficial && !submittingTeamId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Only an official can correct a finished match
+    if (match.status === 'completed' && !isOfficial) {
+      return res.status(400).json({ error: 'Match is already completed' });
+    }
+
+    const result = submitScore({
+      match,
+      rubberId: rubber ? rubber.id : null,
+      holeNumber: hole_number,
+      teamId,
+      playerId: scoringPlayerId,
+      strokes,
+      userId: req.user.id,
+      submittingTeamId
+    });
 
-      db.prepare(`
-        UPDATE matches SET status = 'completed', winner_id = ?, final_result = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
-      `).run(winner_id, final_result, id);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
+    const matchState = result.state;
+    const hole = findHole(matchState, hole_number);
+    const fixture = matchState.fixture && {
+      team1Points: matchState.fixture.team1Points,
+      team2Points: matchState.fixture.team2Points,
+      isOver: matchState.fixture.isOver,
+      statusText: matchState.fixture.statusText,
+      winnerId: matchState.fixture.winnerId,
+      finalResult: matchState.fixture.finalResult
+    };
+
     // Emit socket event
     const io = req.app.get('io');
+    updatePlayoffs(io, match);
     if (io) {
       const scoreUpdate = {
         matchId: id,
+        rubberId: rubber ? rubber.id : null,
         holeNumber: hole_number,
-        teamId: team_id,
-        result,
-        standing,
-        holesPlayed,
-        toPlay
+        teamId,
+        playerId,
+        strokes,
+        verification: result.verification,
+        hole,
+        standing: matchState.standing,
+        holesPlayed: matchState.holesPlayed,
+        toPlay: matchState.toPlay,
+        isDormie: matchState.isDormie,
+        isMatchOver: matchState.isOver,
+        statusText: matchState.statusText,
+        suddenDeath: matchState.suddenDeath || null,
+        fixture
       };
       io.to(`match-${id}`).emit('score:updated', scoreUpdate);
       io.emit('matches:score', scoreUpdate);
+
+      if (result.verification === 'disputed') {
+        io.to(`match-${id}`).emit('score:disputed', {
+          matchId: id,
+          rubberId: rubber ? rubber.id : null,
+          holeNumber: hole_number,
+          playerId: scoringPlayerId,
+          strokes,
+          opposingStrokes: result.opposingStrokes
+        });
+      }
     }
 
     res.json({
       message: 'Score recorded',
-      standing,
-      holesPlayed,
-      toPlay,
-      isMatchOver
+      rubberId: rubber ? rubber.id : null,
+      verification: result.verification,
+      opposingStrokes: result.opposingStrokes ?? null,
+      hole,
+      standing: matchState.standing,
+      holesPlayed: matchState.holesPlayed,
+      toPlay: matchState.toPlay,
+      isDormie: matchState.isDormie,
+      isMatchOver: matchState.isOver,
+      statusText: matchState.statusText,
+      winnerId: matchState.winnerId,
+      finalResult: matchState.finalResult,
+      suddenDeath: matchState.suddenDeath || null,
+      fixture
     });
   } catch (error) {
     console.error('Record Score Error:', error);
@@ -411,4 +773,245 @@ router.post('/:id/score', authenticateToken, (req, res) => {
   }
 });
 
+// GET /matches/:id/disputes - Disputed hole scores with each side's entry
+router.get('/:id/disputes', optionalAuth, (req, res) => {
+  try {
+    const match = db.prepare('SELECT * FROM matches WHERE id = ?').get(req.params.id);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    res.json({ disputes: getOpenDisputes(match.id) });
+  } catch (error) {
+    console.error('Get Disputes Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /matches/:id/disputes/:holeScoreId/resolve - Settle a disputed score (admin or match referee)
+router.post('/:id/disputes/:holeScoreId/resolve', authenticateToken, requireOpenSeason(matchSeason), (req, res) => {
+  try {
+    const { id, holeScoreId } = req.params;
+    const { strokes, note } = req.body;
+
+    const match = db.prepare('SELECT * FROM matches WHERE id = ?').get(id);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    if (!isMatchOfficial(match, req.user)) {
+      return res.status(403).json({ error: 'Only an admin or the match referee can resolve disputes' });
+    }
+
+    const holeScore = db.prepare(`
+      SELECT * FROM hole_scores WHERE id = ? AND match_id = ?
+    `).get(holeScoreId, match.id);
+
+    if (!holeScore || holeScore.status !== 'disputed') {
+      return res.status(404).json({ error: 'Disputed score not found' });
+    }
+
+    if (!Number.isInteger(strokes) || strokes < 1 || strokes > 20) {
+      return res.status(400).json({ error: 'Strokes must be a whole number between 1 and 20' });
+    }
+
+    const matchState = resolveDispute({ match, holeScore, strokes, userId: req.user.id, note });
+
+    const io = req.app.get('io');
+    updatePlayoffs(io, match);
+    if (io) {
+      io.to(`match-${id}`).emit('score:resolved', {
+        matchId: match.id,
+        rubberId: holeScore.rubber_id,
+        holeNumber: holeScore.hole_number,
+        playerId: holeScore.player_id,
+        strokes,
+        statusText: matchState.statusText,
+        isMatchOver: matchState.isOver
+      });
+    }
+
+    res.json({
+      message: 'Dispute resolved',
+      hole: findHole(matchState, holeScore.hole_number),
+      standing: matchState.standing,
+      statusText: matchState.statusText,
+      isMatchOver: matchState.isOver,
+      finalResult: matchState.finalResult
+    });
+  } catch (error) {
+    console.error('Resolve Dispute Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /matches/:id/history - Every entry, confirmation, dispute and resolution, optionally for one hole
+router.get('/:id/history', optionalAuth, (req, res) => {
+  try {
+    const match = db.prepare('SELECT * FROM matches WHERE id = ?').get(req.params.id);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    const holeNumber = req.query.hole_number ? parseInt(req.query.hole_number) : null;
+
+    res.json({ history: getScoreHistory(match.id, holeNumber) });
+  } catch (error) {
+    console.error('Get Score History Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /matches/:id/rubbers - Rubbers in a fixture with their players and live state
+router.get('/:id/rubbers', optionalAuth, (req, res) => {
+  try {
+    const match = db.prepare('SELECT * FROM matches WHERE id = ?').get(req.params.id);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    const matchState = calculateMatchState(match);
+    if (matchState.type !== 'fixture') {
+      return res.json({ rubbers: [] });
+    }
+
+    res.json({
+      rubbers: matchState.rubbers,
+      team1Points: matchState.team1Points,
+      team2Points: matchState.team2Points,
+      statusText: matchState.statusText
+    });
+  } catch (error) {
+    console.error('Get Rubbers Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /matches/:id/rubbers - Add a rubber to a fixture (admin only)
+// Body: { format, team1_player_ids, team2_player_ids }; players come from each team's roster for the season
+router.post('/:id/rubbers', authenticateToken, requireAdmin, requireOpenSeason(matchSeason), (req, res) => {
+  try {
+    const { format, team1_player_ids, team2_player_ids } = req.body;
+
+    const match = db.prepare('SELECT * FROM matches WHERE id = ?').get(req.params.id);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    if (!RUBBER_FORMATS[format]) {
+      return res.status(400).json({ error: `Format must be one of: ${Object.keys(RUBBER_FORMATS).join(', ')}` });
+    }
+
+    if (match.status === 'completed') {
+      return res.status(400).json({ error: 'Match is already completed' });
+    }
+
+    // A match scored as a single sheet can't be split into rubbers afterwards
+    const singleSheet = db.prepare(`
+      SELECT 1 FROM hole_scores WHERE match_id = ? AND rubber_id IS NULL
+      UNION ALL
+      SELECT 1 FROM match_scores WHERE match_id = ? AND rubber_id IS NULL
+      LIMIT 1
+    `).get(match.id, match.id);
+    if (singleSheet) {
+      return res.status(400).json({ error: 'Match already has scores recorded without rubbers' });
+    }
+
+    const { playersPerSide } = RUBBER_FORMATS[format];
+    const sides = [[match.team1_id, team1_player_ids], [match.team2_id, team2_player_ids]];
+
+    for (const [teamId, playerIds] of sides) {
+      if (!Array.isArray(playerIds) || playerIds.length !== playersPerSide || new Set(playerIds).size !== playersPerSide) {
+        return res.status(400).json({ error: `${format} needs ${playersPerSide} different player(s) per side` });
+      }
+
+      for (const playerId of playerIds) {
+        const onRoster = db.prepare(`
+          SELECT 1 FROM team_roster WHERE team_id = ? AND player_id = ? AND season = ?
+        `).get(teamId, playerId, match.season);
+
+        if (!onRoster) {
+          return res.status(400).json({ error: `Player ${playerId} is not on team ${teamId}'s roster` });
+        }
+
+        const alreadyPlaying = db.prepare(`
+          SELECT 1 FROM match_rubber_players mrp
+          JOIN match_rubbers mr ON mrp.rubber_id = mr.id
+          WHERE mr.match_id = ? AND mrp.player_id = ?
+        `).get(match.id, playerId);
+
+        if (alreadyPlaying) {
+          return res.status(400).json({ error: `Player ${playerId} is already playing in another rubber` });
+        }
+      }
+    }
+
+    const rubberId = db.transaction(() => {
+      const { next } = db.prepare(`
+        SELECT COALESCE(MAX(rubber_number), 0) + 1 as next FROM match_rubbers WHERE match_id = ?
+      `).get(match.id);
+
+      const result = db.prepare(`
+        INSERT INTO match_rubbers (match_id, rubber_number, format) VALUES (?, ?, ?)
+      `).run(match.id, next, format);
+
+      const insertPlayer = db.prepare(`
+        INSERT INTO match_rubber_players (rubber_id, team_id, player_id) VALUES (?, ?, ?)
+      `);
+      sides.forEach(([teamId, playerIds]) => {
+        playerIds.forEach(playerId => insertPlayer.run(result.lastInsertRowid, teamId, playerId));
+      });
+
+      // The new rubber adds to the points on offer, so the fixture's running status is worked out again
+      recalculateMatch(match.id);
+
+      return result.lastInsertRowid;
+    })();
+
+    const rubber = calculateMatchState(match).rubbers.find(r => r.rubberId === rubberId);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`match-${match.id}`).emit('match:rubber-added', rubber);
+    }
+
+    res.status(201).json({ rubber });
+  } catch (error) {
+    console.error('Create Rubber Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /matches/:id/rubbers/:rubberId - Remove a rubber that hasn't been scored (admin only)
+router.delete('/:id/rubbers/:rubberId', authenticateToken, requireAdmin, requireOpenSeason(matchSeason), (req, res) => {
+  try {
+    const { id, rubberId } = req.params;
+
+    const rubber = db.prepare('SELECT * FROM match_rubbers WHERE id = ? AND match_id = ?').get(rubberId, id);
+    if (!rubber) {
+      return res.status(404).json({ error: 'Rubber not found' });
+    }
+
+    const scored = db.prepare('SELECT 1 FROM hole_scores WHERE rubber_id = ? LIMIT 1').get(rubber.id);
+    if (scored) {
+      return res.status(400).json({ error: 'Cannot remove a rubber that has scores recorded' });
+    }
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM match_rubbers WHERE id = ?').run(rubber.id);
+      recalculateMatch(rubber.match_id);
+    })();
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`match-${id}`).emit('match:rubber-removed', { matchId: rubber.match_id, rubberId: rubber.id });
+    }
+
+    res.json({ message: 'Rubber removed' });
+  } catch (error) {
+    console.error('Delete Rubber Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
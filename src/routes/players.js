@@ -2,22 +2,23 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../database');
 const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { getCurrentSeasonId } = require('../services/seasons');
 
 // GET /players - Get all players
 router.get('/', optionalAuth, (req, res) => {
   try {
-    const { available, team_id, search, limit = 100, offset = 0 } = req.query;
+    const { available, team_id, search, season = getCurrentSeasonId(), limit = 100, offset = 0 } = req.query;
 
     let query = `
       SELECT p.*, u.name, u.phone, u.photo_url as user_photo,
              t.id as team_id, t.name as team_name
       FROM players p
       JOIN users u ON p.user_id = u.id
-      LEFT JOIN team_roster tr ON p.id = tr.player_id AND tr.season = (SELECT MAX(season) FROM team_roster)
+      LEFT JOIN team_roster tr ON p.id = tr.player_id AND tr.season = ?
       LEFT JOIN teams t ON tr.team_id = t.id
       WHERE 1=1
     `;
-    const params = [];
+    const params = [season];
 
     if (available === 'true') {
       query += ' AND p.is_available = 1';
@@ -50,7 +51,7 @@ router.get('/', optionalAuth, (req, res) => {
 // GET /players/available - Get available players for auction/draft
 router.get('/available', optionalAuth, (req, res) => {
   try {
-    const { season = 1 } = req.query;
+    const { season = getCurrentSeasonId() } = req.query;
 
     const players = db.prepare(`
       SELECT p.*, u.name, u.phone, u.photo_url as user_photo
@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const { db } = require('../database');
+const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { matchSeason, requireOpenSeason } = require('../middleware/season');
+const { isMatchOfficial } = require('../services/scoreVerification');
+const { getCurrentSeasonId, advanceSeasonStatus } = require('../services/seasons');
+const {
+  PLAYOFF_FORMATS,
+  PLAYOFF_TEAMS,
+  createPlayoffs,
+  recordSuddenDeathHole,
+  isInSuddenDeath,
+  getPlayoffs
+} = require('../services/playoffs');
+
+// GET /playoffs - Bracket for a season
+router.get('/', optionalAuth, (req, res) => {
+  try {
+    const season = parseInt(req.query.season) || getCurrentSeasonId();
+    const playoffs = getPlayoffs(season);
+
+    if (!playoffs) {
+      return res.status(404).json({ error: 'No playoffs for this season' });
+    }
+
+    res.json({ playoffs });
+  } catch (error) {
+    console.error('Get Playoffs Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /playoffs - Seed the bracket from the final league table (admin only)
+// Body: { season, format, start_date, days_between_rounds, tee_time, venue, course_id }
+router.post('/', authenticateToken, requireAdmin, requireOpenSeason(), (req, res) => {
+  try {
+    const {
+      season = getCurrentSeasonId(), format = 'semi_finals', start_date, days_between_rounds = 7, tee_time, venue, course_id
+    } = req.body;
+
+    if (!PLAYOFF_FORMATS[format]) {
+      return res.status(400).json({ error: `Format must be one of: ${Object.keys(PLAYOFF_FORMATS).join(', ')}` });
+    }
+
+    if (start_date && !/^\d{4}-\d{2}-\d{2}$/.test(start_date)) {
+      return res.status(400).json({ error: 'Start date must be YYYY-MM-DD' });
+    }
+
+    if (course_id && !db.prepare('SELECT 1 FROM courses WHERE id = ?').get(course_id)) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    if (db.prepare('SELECT 1 FROM playoff_brackets WHERE season = ?').get(season)) {
+      return res.status(409).json({ error: 'Playoffs already exist for this season' });
+    }
+
+    const { played, unfinished } = db.prepare(`
+      SELECT COUNT(*) as played,
+             SUM(CASE WHEN status IN ('scheduled', 'live') THEN 1 ELSE 0 END) as unfinished
+      FROM matches WHERE season = ? AND stage = 'league'
+    `).get(season);
+
+    if (played === 0 || unfinished > 0) {
+      return res.status(400).json({ error: 'The league stage must be finished before the playoffs' });
+    }
+
+    const { count } = db.prepare('SELECT COUNT(*) as count FROM teams').get();
+    if (count < PLAYOFF_TEAMS) {
+      return res.status(400).json({ error: `At least ${PLAYOFF_TEAMS} teams are needed for the playoffs` });
+    }
+
+    const playoffs = createPlayoffs({
+      season,
+      format,
+      schedule: {
+        startDate: start_date || null,
+        daysBetweenRounds: days_between_rounds,
+        teeTime: tee_time || null,
+        venue: venue || null,
+        courseId: course_id || null
+      },
+      createdBy: req.user.id
+    });
+    advanceSeasonStatus(season, 'playoffs');
+
+    const io = req.app.get('io');
+    if (io) {
+      io.emit('playoffs:updated', playoffs);
+    }
+
+    res.status(201).json({ playoffs });
+  } catch (error) {
+    console.error('Create Playoffs Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /playoffs/matches/:id/sudden-death - Call the next extra hole of a halved knockout match without
+// scoring it from strokes (admin or match referee). Body: { winner_team_id } - null when the hole is halved.
+router.post('/matches/:id/sudden-death', authenticateToken, requireOpenSeason(matchSeason), (req, res) => {
+  try {
+    const { winner_team_id = null } = req.body;
+
+    const match = db.prepare('SELECT * FROM matches WHERE id = ?').get(req.params.id);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    if (!isMatchOfficial(match, req.user)) {
+      return res.status(403).json({ error: 'Only an admin or the match referee can record sudden death' });
+    }
+
+    if (!isInSuddenDeath(match)) {
+      return res.status(400).json({ error: 'Match is not in sudden death' });
+    }
+
+    if (winner_team_id !== null && winner_team_id !== match.team1_id && winner_team_id !== match.team2_id) {
+      return res.status(400).json({ error: 'Team is not part of this match' });
+    }
+
+    const matchState = recordSuddenDeathHole({ match, winnerTeamId: winner_team_id, userId: req.user.id });
+    const playoffs = getPlayoffs(match.season);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`match-${match.id}`).emit('match:sudden-death', {
+        matchId: match.id,
+        holes: matchState.suddenDeath ? matchState.suddenDeath.holes : [],
+        winnerId: matchState.winnerId,
+        statusText: matchState.statusText
+      });
+      io.emit('playoffs:updated', playoffs);
+    }
+
+    res.json({
+      statusText: matchState.statusText,
+      isMatchOver: matchState.isOver,
+      winnerId: matchState.winnerId,
+      finalResult: matchState.finalResult,
+      suddenDeath: matchState.suddenDeath,
+      playoffs
+    });
+  } catch (error) {
+    console.error('Sudden Death Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
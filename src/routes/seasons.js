@@ -0,0 +1,194 @@
+const express = require('express');
+const router = express.Router();
+const { db } = require('../database');
+const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { RosterLedgerError } = require('../services/rosterLedger');
+const {
+  SEASON_STATUSES,
+  DEFAULT_BUDGET,
+  getSeason,
+  getSeasons,
+  getCurrentSeason,
+  rolloverSeason
+} = require('../services/seasons');
+const auctionRoutes = require('./auction');
+const draftRoutes = require('./draft');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Check optional start and end dates. Returns an error message or null.
+function validateDates(startDate, endDate) {
+  if ([startDate, endDate].some(date => date !== undefined && date !== null && !DATE_PATTERN.test(date))) {
+    return 'Dates must be in YYYY-MM-DD format';
+  }
+
+  if (startDate && endDate && endDate < startDate) {
+    return 'End date must be on or after the start date';
+  }
+
+  return null;
+}
+
+// GET /seasons - List seasons, latest first
+router.get('/', optionalAuth, (req, res) => {
+  try {
+    res.json({ seasons: getSeasons(), current: getCurrentSeason(), statuses: SEASON_STATUSES });
+  } catch (error) {
+    console.error('Get Seasons Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /seasons/current - The season routes use by default
+router.get('/current', optionalAuth, (req, res) => {
+  try {
+    res.json({ season: getCurrentSeason() });
+  } catch (error) {
+    console.error('Get Current Season Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /seasons/:id - Season details with a summary of what was played
+router.get('/:id', optionalAuth, (req, res) => {
+  try {
+    const season = getSeason(req.params.id);
+    if (!season) {
+      return res.status(404).json({ error: 'Season not found' });
+    }
+
+    const summary = db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM team_roster WHERE season = ?) as rostered_players,
+        (SELECT COUNT(*) FROM matches WHERE season = ?) as matches,
+        (SELECT COUNT(*) FROM matches WHERE season = ? AND status = 'completed') as completed_matches
+    `).get(season.id, season.id, season.id);
+
+    const champion = db.prepare(`
+      SELECT t.id, t.name FROM playoff_brackets pb JOIN teams t ON pb.champion_team_id = t.id WHERE pb.season = ?
+    `).get(season.id);
+
+    res.json({ season: { ...season, ...summary, champion: champion || null } });
+  } catch (error) {
+    console.error('Get Season Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /seasons/:id - Rename, set dates or move a season on through its lifecycle (admin only)
+// Statuses only move forward; a season is closed by rolling over to the next one.
+router.put('/:id', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { name, start_date, end_date, status } = req.body;
+
+    const season = getSeason(req.params.id);
+    if (!season) {
+      return res.status(404).json({ error: 'Season not found' });
+    }
+
+    if (season.status === 'closed') {
+      return res.status(409).json({ error: `${season.name} is closed and read-only` });
+    }
+
+    if (name !== undefined && !name) {
+      return res.status(400).json({ error: 'Season name is required' });
+    }
+
+    const startDate = start_date !== undefined ? start_date : season.start_date;
+    const endDate = end_date !== undefined ? end_date : season.end_date;
+    const datesError = validateDates(startDate, endDate);
+    if (datesError) {
+      return res.status(400).json({ error: datesError });
+    }
+
+    if (status !== undefined) {
+      if (!SEASON_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${SEASON_STATUSES.join(', ')}` });
+      }
+      if (status === 'closed') {
+        return res.status(400).json({ error: 'Seasons are closed by rolling over to the next season' });
+      }
+      if (SEASON_STATUSES.indexOf(status) < SEASON_STATUSES.indexOf(season.status)) {
+        return res.status(400).json({ error: `Season is already past ${status}` });
+      }
+    }
+
+    db.prepare(`
+      UPDATE seasons SET name = ?, start_date = ?, end_date = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(name ?? season.name, startDate, endDate, status ?? season.status, season.id);
+
+    const updated = getSeason(season.id);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.emit('season:updated', updated);
+    }
+
+    res.json({ season: updated });
+  } catch (error) {
+    console.error('Update Season Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /seasons/rollover - Close the current season and start the next (admin only)
+// Body: { name, start_date, end_date, budget, retained: [{ team_id, player_id }] }
+// Budgets are reset, core and retained players carry over, and the closed season becomes read-only.
+router.post('/rollover', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { name, start_date, end_date, budget = DEFAULT_BUDGET, retained = [] } = req.body;
+
+    const datesError = validateDates(start_date, end_date);
+    if (datesError) {
+      return res.status(400).json({ error: datesError });
+    }
+
+    if (!Number.isInteger(budget) || budget < 0) {
+      return res.status(400).json({ error: 'Budget must be a non-negative whole number' });
+    }
+
+    if (!Array.isArray(retained) ||
+      retained.some(entry => !entry || !Number.isInteger(entry.team_id) || !Number.isInteger(entry.player_id))) {
+      return res.status(400).json({ error: 'Retained players must be a list of { team_id, player_id } ids' });
+    }
+
+    // Lots and pick clocks live in memory as well as in auction_state; let them settle first
+    if (!auctionRoutes.isEngineIdle() || draftRoutes.isPickClockRunning()) {
+      return res.status(409).json({ error: 'Wait for the auction and draft clocks to stop before rolling the season over' });
+    }
+
+    const result = rolloverSeason({
+      name,
+      startDate: start_date,
+      endDate: end_date,
+      budget,
+      retained: retained.map(entry => ({ teamId: entry.team_id, playerId: entry.player_id })),
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.emit('season:rollover', { previous: result.previous, season: result.season });
+    }
+
+    res.status(201).json({
+      message: `${result.previous.name} closed, ${result.season.name} started`,
+      previous: result.previous,
+      season: result.season,
+      carriedOver: result.carried
+    });
+  } catch (error) {
+    if (error instanceof RosterLedgerError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Season Rollover Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
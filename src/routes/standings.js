@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { requireOpenSeason } = require('../middleware/season');
+const { TIEBREAKERS, getStandingsConfig, saveStandingsConfig, getStandings } = require('../services/standings');
+const { getCurrentSeasonId } = require('../services/seasons');
+
+// GET /standings - League table for a season with per-round snapshots
+router.get('/', optionalAuth, (req, res) => {
+  try {
+    const season = parseInt(req.query.season) || getCurrentSeasonId();
+
+    res.json(getStandings(season));
+  } catch (error) {
+    console.error('Get Standings Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /standings/config - Points and tiebreakers used for a season
+router.get('/config', optionalAuth, (req, res) => {
+  try {
+    const season = parseInt(req.query.season) || getCurrentSeasonId();
+
+    res.json({ config: getStandingsConfig(season), tiebreakers: TIEBREAKERS });
+  } catch (error) {
+    console.error('Get Standings Config Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /standings/config - Set points per result and the tiebreaker order for a season (admin only)
+router.put('/config', authenticateToken, requireAdmin, requireOpenSeason(), (req, res) => {
+  try {
+    const { season = getCurrentSeasonId(), points_win, points_halve, points_loss, tiebreakers } = req.body;
+    const current = getStandingsConfig(season);
+
+    const config = {
+      pointsWin: points_win ?? current.pointsWin,
+      pointsHalve: points_halve ?? current.pointsHalve,
+      pointsLoss: points_loss ?? current.pointsLoss,
+      tiebreakers: tiebreakers ?? current.tiebreakers
+    };
+
+    if ([config.pointsWin, config.pointsHalve, config.pointsLoss].some(points => typeof points !== 'number')) {
+      return res.status(400).json({ error: 'Points must be numbers' });
+    }
+
+    if (!Array.isArray(config.tiebreakers) ||
+        config.tiebreakers.some(tiebreaker => !TIEBREAKERS.includes(tiebreaker)) ||
+        new Set(config.tiebreakers).size !== config.tiebreakers.length) {
+      return res.status(400).json({ error: `Tiebreakers must be distinct values from: ${TIEBREAKERS.join(', ')}` });
+    }
+
+    res.json({ config: saveStandingsConfig(season, config) });
+  } catch (error) {
+    console.error('Update Standings Config Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
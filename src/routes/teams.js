@@ -2,12 +2,15 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../database');
 const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { requireOpenSeason } = require('../middleware/season');
+const { RosterLedgerError, addToRoster, removeFromRoster } = require('../services/rosterLedger');
+const { getCurrentSeasonId } = require('../services/seasons');
 
 // GET /teams - Get all teams
 router.get('/', optionalAuth, (req, res) => {
   try {
     const { season } = req.query;
-    const currentSeason = season || 1;
+    const currentSeason = season || getCurrentSeasonId();
 
     const teams = db.prepare(`
       SELECT t.*,
@@ -32,7 +35,7 @@ router.get('/:id', optionalAuth, (req, res) => {
   try {
     const { id } = req.params;
     const { season } = req.query;
-    const currentSeason = season || 1;
+    const currentSeason = season || getCurrentSeasonId();
 
     const team = db.prepare(`
       SELECT t.*,
@@ -81,7 +84,7 @@ router.get('/:id/roster', optionalAuth, (req, res) => {
   try {
     const { id } = req.params;
     const { season } = req.query;
-    const currentSeason = season || 1;
+    const currentSeason = season || getCurrentSeasonId();
 
     const roster = db.prepare(`
       SELECT p.*, u.name, u.phone, u.photo_url as user_photo,
@@ -215,10 +218,10 @@ router.put('/:id', authenticateToken, (req, res) => {
 });
 
 // POST /teams/:id/roster - Add player to team roster
-router.post('/:id/roster', authenticateToken, (req, res) => {
+router.post('/:id/roster', authenticateToken, requireOpenSeason(), (req, res) => {
   try {
     const { id } = req.params;
-    const { player_id, acquisition_type = 'auction', price = 0, season = 1 } = req.body;
+    const { player_id, acquisition_type = 'auction', price = 0, season = getCurrentSeasonId() } = req.body;
 
     // Check permission
     const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(id);
@@ -230,46 +233,30 @@ router.post('/:id/roster', authenticateToken, (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Check if player exists
-    const player = db.prepare('SELECT * FROM players WHERE id = ?').get(player_id);
-    if (!player) {
-      return res.status(404).json({ error: 'Player not found' });
-    }
-
-    // Check if player is already in a team this season
-    const existingRoster = db.prepare(
-      'SELECT * FROM team_roster WHERE player_id = ? AND season = ?'
-    ).get(player_id, season);
-    if (existingRoster) {
-      return res.status(400).json({ error: 'Player is already on a team this season' });
-    }
-
-    // Add to roster
-    db.prepare(`
-      INSERT INTO team_roster (team_id, player_id, acquisition_type, price, season)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(id, player_id, acquisition_type, price, season);
+    // Add to roster, charge the budget and take the player out of the pool
+    const entry = addToRoster({
+      teamId: team.id,
+      playerId: player_id,
+      season,
+      acquisitionType: acquisition_type,
+      price
+    });
 
-    // Update team budget
-    if (price > 0) {
-      db.prepare('UPDATE teams SET budget_remaining = budget_remaining - ? WHERE id = ?').run(price, id);
-    }
-
-    // Mark player as unavailable
-    db.prepare('UPDATE players SET is_available = 0 WHERE id = ?').run(player_id);
-
-    res.status(201).json({ message: 'Player added to roster' });
+    res.status(201).json({ message: 'Player added to roster', entry });
   } catch (error) {
+    if (error instanceof RosterLedgerError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Add Roster Error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // DELETE /teams/:id/roster/:playerId - Remove player from roster
-router.delete('/:id/roster/:playerId', authenticateToken, (req, res) => {
+router.delete('/:id/roster/:playerId', authenticateToken, requireOpenSeason(), (req, res) => {
   try {
     const { id, playerId } = req.params;
-    const { season = 1 } = req.query;
+    const { season = getCurrentSeasonId() } = req.query;
 
     // Check permission
     const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(id);
@@ -281,31 +268,14 @@ router.delete('/:id/roster/:playerId', authenticateToken, (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Get roster entry for budget refund
-    const rosterEntry = db.prepare(
-      'SELECT * FROM team_roster WHERE team_id = ? AND player_id = ? AND season = ?'
-    ).get(id, playerId, season);
-
-    if (!rosterEntry) {
-      return res.status(404).json({ error: 'Player not in roster' });
-    }
-
-    // Remove from roster
-    db.prepare(
-      'DELETE FROM team_roster WHERE team_id = ? AND player_id = ? AND season = ?'
-    ).run(id, playerId, season);
-
-    // Refund budget
-    if (rosterEntry.price > 0) {
-      db.prepare('UPDATE teams SET budget_remaining = budget_remaining + ? WHERE id = ?')
-        .run(rosterEntry.price, id);
-    }
-
-    // Mark player as available
-    db.prepare('UPDATE players SET is_available = 1 WHERE id = ?').run(playerId);
+    // Remove from roster, refund the budget and return the player to the pool
+    removeFromRoster({ teamId: team.id, playerId: parseInt(playerId), season: parseInt(season) });
 
     res.json({ message: 'Player removed from roster' });
   } catch (error) {
+    if (error instanceof RosterLedgerError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Remove Roster Error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -1,6 +1,8 @@
 require('dotenv').config();
 
 const { db, initializeDatabase } = require('./database');
+const { DEFAULT_HOLES, recalculateMatch } = require('./services/matchPlay');
+const { generateSeasonFixtures } = require('./services/fixtureGenerator');
 
 // Initialize database first
 initializeDatabase();
@@ -9,8 +11,34 @@ console.log('Seeding database with sample data...');
 
 // Clear existing data
 db.exec(`
+  DELETE FROM draft_trade_items;
+  DELETE FROM draft_trades;
+  DELETE FROM draft_picks;
+  DELETE FROM draft_queues;
+  DELETE FROM draft_lotteries;
+  DELETE FROM mock_draft_picks;
+  DELETE FROM mock_drafts;
+  DELETE FROM auction_events;
+  DELETE FROM auction_sale_reversals;
+  DELETE FROM auction_sealed_bids;
+  DELETE FROM auction_lots;
+  DELETE FROM auction_sets;
+  DELETE FROM auction_catalogues;
+  DELETE FROM rtm_cards;
+  DELETE FROM playoff_slots;
+  DELETE FROM playoff_brackets;
+  DELETE FROM sudden_death_holes;
+  DELETE FROM score_submissions;
+  DELETE FROM hole_score_history;
+  DELETE FROM hole_scores;
+  DELETE FROM match_rubber_players;
+  DELETE FROM match_rubbers;
   DELETE FROM match_scores;
   DELETE FROM matches;
+  DELETE FROM course_holes;
+  DELETE FROM courses;
+  DELETE FROM standings_config;
+  DELETE FROM roster_rules;
   DELETE FROM draft_log;
   DELETE FROM auction_log;
   DELETE FROM team_roster;
@@ -18,10 +46,18 @@ db.exec(`
   DELETE FROM teams;
   DELETE FROM sponsors;
   DELETE FROM otp_codes;
+  DELETE FROM seasons;
   DELETE FROM users;
-  UPDATE auction_state SET mode = 'idle', current_player_id = NULL, current_bid = 0, current_bidder_team_id = NULL WHERE id = 1;
+  UPDATE auction_state SET mode = 'idle', current_player_id = NULL, current_bid = 0, current_bidder_team_id = NULL, season = 1 WHERE id = 1;
+  DELETE FROM auction_engine_state;
+  INSERT INTO auction_engine_state (id) VALUES (1);
 `);
 
+// Season 1 is under way
+db.prepare(`
+  INSERT INTO seasons (id, name, start_date, status, is_current) VALUES (1, 'Season 1', ?, 'regular', 1)
+`).run(new Date().toISOString().split('T')[0]);
+
 // Create admin user
 const adminResult = db.prepare(`
   INSERT INTO users (phone, name, role, verified) VALUES (?, ?, ?, 1)
@@ -129,74 +165,62 @@ teamIds.forEach((teamId, teamIndex) => {
 
 console.log('Assigned 2 core players to each team (18 available for auction/draft)');
 
-// Create matches for Season 1 (Round Robin - each team plays each other once)
-let matchCount = 0;
-const matchDate = new Date();
+// Home course, laid out with the standard pars and stroke indexes
+const courseId = db.prepare("INSERT INTO courses (name, venue) VALUES ('KGA Golf Course', 'KGA')").run().lastInsertRowid;
+DEFAULT_HOLES.forEach(hole => {
+  db.prepare(`
+    INSERT INTO course_holes (course_id, hole_number, par, stroke_index) VALUES (?, ?, ?, ?)
+  `).run(courseId, hole.hole, hole.par, hole.strokeIndex);
+});
 
-for (let i = 0; i < teamIds.length; i++) {
-  for (let j = i + 1; j < teamIds.length; j++) {
-    const roundNumber = Math.floor(matchCount / 3) + 1;
-    matchDate.setDate(matchDate.getDate() + (matchCount % 3 === 0 ? 7 : 0));
+// Create matches for Season 1 (Round Robin - each team plays each other once), starting next week
+const firstRound = new Date();
+firstRound.setDate(firstRound.getDate() + 7);
 
-    db.prepare(`
-      INSERT INTO matches (round_number, team1_id, team2_id, match_date, tee_time, venue, status, season)
-      VALUES (?, ?, ?, ?, ?, ?, ?, 1)
-    `).run(
-      roundNumber,
-      teamIds[i],
-      teamIds[j],
-      matchDate.toISOString().split('T')[0],
-      '07:00',
-      'KGA',
-      matchCount < 3 ? 'completed' : matchCount < 6 ? 'live' : 'scheduled'
-    );
-
-    matchCount++;
-  }
-}
+const matchIds = generateSeasonFixtures({
+  season: 1,
+  teamIds,
+  double: false,
+  calendar: { startDate: firstRound.toISOString().split('T')[0], teeTimes: ['07:00', '07:30', '08:00'] },
+  courseId
+});
+const matchCount = matchIds.length;
+
+// First round finished, second round on the course
+matchIds.forEach((matchId, index) => {
+  const status = index < 3 ? 'completed' : index < 6 ? 'live' : 'scheduled';
+  db.prepare('UPDATE matches SET status = ? WHERE id = ?').run(status, matchId);
+});
 
 console.log(`Created ${matchCount} matches`);
 
 // Add some scores for live/completed matches
 const liveMatches = db.prepare("SELECT * FROM matches WHERE status IN ('live', 'completed')").all();
 
+const rosterPlayer = db.prepare(`
+  SELECT player_id FROM team_roster WHERE team_id = ? AND season = ? ORDER BY id ASC LIMIT 1
+`);
+
 liveMatches.forEach(match => {
   const holesPlayed = match.status === 'completed' ? 18 : Math.floor(Math.random() * 12) + 6;
+  const players = [match.team1_id, match.team2_id].map(teamId => ({
+    teamId,
+    playerId: rosterPlayer.get(teamId, match.season).player_id
+  }));
 
   for (let hole = 1; hole <= holesPlayed; hole++) {
-    // Random result for team1
-    const results = ['won', 'lost', 'squared'];
-    const team1Result = results[Math.floor(Math.random() * results.length)];
-    const team2Result = team1Result === 'won' ? 'lost' : team1Result === 'lost' ? 'won' : 'squared';
-
-    db.prepare(`
-      INSERT INTO match_scores (match_id, hole_number, team_id, result)
-      VALUES (?, ?, ?, ?)
-    `).run(match.id, hole, match.team1_id, team1Result);
-
-    db.prepare(`
-      INSERT INTO match_scores (match_id, hole_number, team_id, result)
-      VALUES (?, ?, ?, ?)
-    `).run(match.id, hole, match.team2_id, team2Result);
+    // Gross strokes within a shot or two of par; results are derived from these
+    const { par } = DEFAULT_HOLES[hole - 1];
+
+    players.forEach(({ teamId, playerId }) => {
+      db.prepare(`
+        INSERT INTO hole_scores (match_id, hole_number, team_id, player_id, strokes)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(match.id, hole, teamId, playerId, par + Math.floor(Math.random() * 4) - 1);
+    });
   }
 
-  // If completed, determine winner
-  if (match.status === 'completed') {
-    const scores = db.prepare(`
-      SELECT team_id, SUM(CASE WHEN result = 'won' THEN 1 ELSE 0 END) as wins
-      FROM match_scores WHERE match_id = ? GROUP BY team_id
-    `).all(match.id);
-
-    const team1Wins = scores.find(s => s.team_id === match.team1_id)?.wins || 0;
-    const team2Wins = scores.find(s => s.team_id === match.team2_id)?.wins || 0;
-
-    const winnerId = team1Wins > team2Wins ? match.team1_id :
-      team2Wins > team1Wins ? match.team2_id : null;
-
-    db.prepare(`
-      UPDATE matches SET winner_id = ?, final_result = ? WHERE id = ?
-    `).run(winnerId, winnerId ? `${Math.abs(team1Wins - team2Wins)}&0` : 'Draw', match.id);
-  }
+  recalculateMatch(match.id);
 });
 
 console.log('Added scores for live/completed matches');
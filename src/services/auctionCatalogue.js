@@ -0,0 +1,152 @@
+const { db } = require('../database');
+
+// Fisher-Yates shuffle (returns a new array)
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Replace a season's catalogue with the given sets. Shuffled sets are drawn once, here,
+// so the running order is fixed and visible before the auction starts.
+const createCatalogue = db.transaction((season, sets, { reauctionEnabled = true, reauctionDiscountPct = 0 } = {}) => {
+  db.prepare('DELETE FROM auction_lots WHERE season = ?').run(season);
+  db.prepare('DELETE FROM auction_sets WHERE season = ?').run(season);
+
+  db.prepare(`
+    INSERT INTO auction_catalogues (season, reauction_enabled, reauction_discount_pct)
+    VALUES (?, ?, ?)
+    ON CONFLICT(season) DO UPDATE SET
+      reauction_enabled = excluded.reauction_enabled,
+      reauction_discount_pct = excluded.reauction_discount_pct,
+      created_at = CURRENT_TIMESTAMP
+  `).run(season, reauctionEnabled ? 1 : 0, reauctionDiscountPct);
+
+  const insertSet = db.prepare(`
+    INSERT INTO auction_sets (season, name, set_order, ordering, format) VALUES (?, ?, ?, ?, ?)
+  `);
+  const insertLot = db.prepare(`
+    INSERT INTO auction_lots (season, set_id, player_id, lot_order) VALUES (?, ?, ?, ?)
+  `);
+
+  let lotOrder = 1;
+  sets.forEach((set, index) => {
+    const ordering = set.ordering || 'ordered';
+    const { lastInsertRowid: setId } = insertSet.run(season, set.name, index + 1, ordering, set.format || 'open');
+    const playerIds = ordering === 'shuffled' ? shuffle(set.player_ids) : set.player_ids;
+
+    playerIds.forEach(playerId => {
+      insertLot.run(season, setId, playerId, lotOrder++);
+    });
+  });
+});
+
+// Get a season's catalogue: settings plus sets with their lots in running order
+function getCatalogue(season) {
+  const settings = db.prepare('SELECT * FROM auction_catalogues WHERE season = ?').get(season);
+  if (!settings) return null;
+
+  const sets = db.prepare(`
+    SELECT * FROM auction_sets WHERE season = ? ORDER BY set_order ASC
+  `).all(season);
+
+  const lots = db.prepare(`
+    SELECT al.*, u.name as player_name, p.handicap,
+           COALESCE(al.base_price, p.base_price) as lot_base_price
+    FROM auction_lots al
+    JOIN players p ON al.player_id = p.id
+    JOIN users u ON p.user_id = u.id
+    WHERE al.season = ?
+    ORDER BY al.round = 'reauction' ASC, al.lot_order ASC
+  `).all(season);
+
+  return {
+    season,
+    reauctionEnabled: settings.reauction_enabled === 1,
+    reauctionDiscountPct: settings.reauction_discount_pct,
+    sets: sets.map(set => ({
+      ...set,
+      lots: lots.filter(lot => lot.set_id === set.id && lot.round === 'main')
+    })),
+    reauction: lots.filter(lot => lot.round === 'reauction')
+  };
+}
+
+// Move the main round's unsold lots into the accelerated re-auction round at a reduced base price
+function startReauctionRound(season, discountPct) {
+  const unsold = db.prepare(`
+    SELECT al.*, p.base_price as player_base_price
+    FROM auction_lots al
+    JOIN players p ON al.player_id = p.id
+    JOIN auction_sets s ON al.set_id = s.id
+    WHERE al.season = ? AND al.round = 'main' AND al.status = 'unsold' AND p.is_available = 1
+    ORDER BY s.set_order ASC, al.lot_order ASC
+  `).all(season);
+
+  const update = db.prepare(`
+    UPDATE auction_lots SET round = 'reauction', status = 'pending', base_price = ?, lot_order = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  unsold.forEach((lot, index) => {
+    const basePrice = Math.round(lot.player_base_price * (100 - discountPct) / 100);
+    update.run(basePrice, index + 1, lot.id);
+  });
+
+  return unsold.length;
+}
+
+// Next lot to call up, or null once the catalogue is exhausted.
+// Opens the re-auction round the first time the main round runs dry.
+function getNextLot(season) {
+  const settings = db.prepare('SELECT * FROM auction_catalogues WHERE season = ?').get(season);
+  if (!settings) return null;
+
+  const nextQuery = db.prepare(`
+    SELECT al.*, COALESCE(al.base_price, p.base_price) as lot_base_price, s.format as lot_format
+    FROM auction_lots al
+    JOIN players p ON al.player_id = p.id
+    JOIN auction_sets s ON al.set_id = s.id
+    WHERE al.season = ? AND al.status = 'pending' AND p.is_available = 1
+      AND p.id NOT IN (SELECT player_id FROM team_roster WHERE season = ?)
+    ORDER BY al.round = 'reauction' ASC, s.set_order ASC, al.lot_order ASC
+    LIMIT 1
+  `);
+
+  let lot = nextQuery.get(season, season);
+  if (lot) return lot;
+
+  const reauctionStarted = db.prepare(
+    "SELECT 1 FROM auction_lots WHERE season = ? AND round = 'reauction'"
+  ).get(season);
+
+  if (settings.reauction_enabled && !reauctionStarted && startReauctionRound(season, settings.reauction_discount_pct) > 0) {
+    lot = nextQuery.get(season, season);
+  }
+
+  return lot || null;
+}
+
+// Get the catalogue lot for a player in a season, if there is one
+function getLotForPlayer(season, playerId) {
+  return db.prepare('SELECT * FROM auction_lots WHERE season = ? AND player_id = ?').get(season, playerId);
+}
+
+// Record a lot's progress (called, sold, unsold) - no-op for players outside the catalogue
+function setLotStatus(season, playerId, status) {
+  db.prepare(`
+    UPDATE auction_lots SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE season = ? AND player_id = ?
+  `).run(status, season, playerId);
+}
+
+module.exports = {
+  createCatalogue,
+  getCatalogue,
+  getNextLot,
+  getLotForPlayer,
+  setLotStatus
+};
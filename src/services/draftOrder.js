@@ -0,0 +1,138 @@
+const { db } = require('../database');
+const { getLeagueTable } = require('./standings');
+
+const DRAFT_FORMATS = ['linear', 'snake', 'third_round_reversal', 'lottery'];
+
+// Whether a round runs against the base order.
+// Third-round reversal: round 2 reverses as in a snake, round 3 reverses again, then rounds alternate from there.
+function isReverseRound(format, round) {
+  switch (format) {
+    case 'snake':
+      return round % 2 === 0;
+    case 'third_round_reversal':
+      return round === 2 || (round >= 3 && round % 2 === 1);
+    default:
+      // linear and lottery drafts keep the same order every round
+      return false;
+  }
+}
+
+// Team holding a round/slot before any trades
+function getOriginalTeamId(format, draftOrder, round, slot) {
+  const totalTeams = draftOrder.length;
+  return draftOrder[isReverseRound(format, round) ? totalTeams - slot : slot - 1];
+}
+
+// Every pick of the draft in order: round, slot within the round, overall pick number and team
+function buildDraftBoard(format, draftOrder, rounds) {
+  const board = [];
+  for (let round = 1; round <= rounds; round++) {
+    for (let slot = 1; slot <= draftOrder.length; slot++) {
+      board.push({
+        round,
+        slot,
+        pickNumber: (round - 1) * draftOrder.length + slot,
+        teamId: getOriginalTeamId(format, draftOrder, round, slot)
+      });
+    }
+  }
+  return board;
+}
+
+// Final order of a season's league table for the given teams, with each team's completed league matches.
+// A null season (no previous season to go on) gives an empty table.
+function getSeasonStandings(season, teamIds) {
+  const table = season ? getLeagueTable(season) : [];
+
+  return teamIds
+    .map(teamId => {
+      const row = table.find(entry => entry.teamId === teamId);
+      return {
+        teamId,
+        points: row ? row.points : 0,
+        played: row ? row.played : 0,
+        position: row ? row.position : Infinity
+      };
+    })
+    .sort((a, b) => a.position - b.position || a.teamId - b.teamId)
+    .map(({ teamId, points, played }, index) => ({ teamId, points, played, rank: index + 1 }));
+}
+
+// The season before this one in the seasons table, or null for the first
+function getPreviousSeasonId(season) {
+  const previous = db.prepare('SELECT id FROM seasons WHERE id < ? ORDER BY id DESC LIMIT 1').get(season);
+  return previous ? previous.id : null;
+}
+
+// Small seeded PRNG (mulberry32) so a lottery can be re-run from its seed
+function createRng(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t += 0x6D2B79F5;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Weighted lottery for the base order. Teams are weighted by last season's finish:
+// the bottom team gets as many chances as there are teams, the champion gets one. With no results
+// last season the table is only alphabetical, so every team gets one chance instead.
+function drawLotteryOrder(season, teamIds, seed = Math.floor(Math.random() * 2 ** 31)) {
+  const standings = getSeasonStandings(getPreviousSeasonId(season), teamIds);
+  const hasResults = standings.some(row => row.played > 0);
+  const odds = standings.map(row => ({
+    teamId: row.teamId,
+    rank: row.rank,
+    points: row.points,
+    weight: hasResults ? row.rank : 1
+  }));
+
+  const rng = createRng(seed);
+  const pool = [...odds];
+  const order = [];
+
+  while (pool.length > 0) {
+    const total = pool.reduce((sum, entry) => sum + entry.weight, 0);
+    let ticket = rng() * total;
+    let index = 0;
+    while (ticket >= pool[index].weight && index < pool.length - 1) {
+      ticket -= pool[index].weight;
+      index++;
+    }
+    order.push(pool[index].teamId);
+    pool.splice(index, 1);
+  }
+
+  return { seed, odds, order };
+}
+
+function getDraftLottery(season) {
+  const row = db.prepare('SELECT * FROM draft_lotteries WHERE season = ?').get(season);
+  if (!row) return null;
+
+  return {
+    season: row.season,
+    seed: row.seed,
+    odds: JSON.parse(row.odds),
+    order: JSON.parse(row.draft_order),
+    drawnAt: row.created_at
+  };
+}
+
+function saveDraftLottery(season, lottery) {
+  db.prepare(`
+    INSERT OR REPLACE INTO draft_lotteries (season, seed, odds, draft_order) VALUES (?, ?, ?, ?)
+  `).run(season, lottery.seed, JSON.stringify(lottery.odds), JSON.stringify(lottery.order));
+}
+
+module.exports = {
+  DRAFT_FORMATS,
+  isReverseRound,
+  getOriginalTeamId,
+  buildDraftBoard,
+  getSeasonStandings,
+  drawLotteryOrder,
+  getDraftLottery,
+  saveDraftLottery
+};
@@ -0,0 +1,190 @@
+const { db } = require('../database');
+const { RosterLedgerError, transferPlayer } = require('./rosterLedger');
+const { getOriginalTeamId } = require('./draftOrder');
+
+// Position of an overall pick number within its round (1-based)
+function getSlot(totalTeams, pick) {
+  return ((pick - 1) % totalTeams) + 1;
+}
+
+// Store the season's precomputed draft board as its pick ledger. Existing rows are kept: a pick moved by an
+// approved trade keeps its owner, and picks never traded follow the new board. Pending pick trades are
+// cancelled, since the board they were proposed against may have changed.
+const seedDraftPicks = db.transaction((season, board) => {
+  db.prepare(`
+    UPDATE draft_trades SET status = 'cancelled', resolved_at = CURRENT_TIMESTAMP
+    WHERE season = ? AND status = 'pending'
+      AND id IN (SELECT trade_id FROM draft_trade_items WHERE item_type = 'pick')
+  `).run(season);
+
+  const findPick = db.prepare('SELECT * FROM draft_picks WHERE season = ? AND round_number = ? AND slot = ?');
+  const isTraded = db.prepare(`
+    SELECT 1 FROM draft_trade_items dti
+    JOIN draft_trades dt ON dti.trade_id = dt.id
+    WHERE dti.pick_id = ? AND dt.status = 'approved'
+  `);
+  const insert = db.prepare(`
+    INSERT INTO draft_picks (season, round_number, slot, pick_number, original_team_id, owner_team_id)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  // The draft starts again from the first pick, so earlier use of a pick no longer counts
+  const reset = db.prepare(`
+    UPDATE draft_picks SET pick_number = ?, player_id = NULL, used_at = NULL, skipped = 0 WHERE id = ?
+  `);
+  const follow = db.prepare('UPDATE draft_picks SET original_team_id = ?, owner_team_id = ? WHERE id = ?');
+
+  board.forEach(pick => {
+    const existing = findPick.get(season, pick.round, pick.slot);
+    if (!existing) {
+      insert.run(season, pick.round, pick.slot, pick.pickNumber, pick.teamId, pick.teamId);
+      return;
+    }
+
+    reset.run(pick.pickNumber, existing.id);
+    if (!isTraded.get(existing.id)) {
+      follow.run(pick.teamId, pick.teamId, existing.id);
+    }
+  });
+});
+
+// First pick at or after fromPick whose owner is under the roster cap, with the picks passed over on the way.
+// getOwnerId(round, pick) and getRosterSize(teamId) read whichever draft is running (live or mock).
+function findNextOpenPick({ fromPick, totalPicks, teamsPerRound, rosterCap, getOwnerId, getRosterSize }) {
+  const skipped = [];
+
+  for (let pick = fromPick; pick <= totalPicks; pick++) {
+    const round = Math.floor((pick - 1) / teamsPerRound) + 1;
+    const teamId = getOwnerId(round, pick);
+
+    if (getRosterSize(teamId) < rosterCap) {
+      return { done: false, round, pick, teamId, skipped };
+    }
+
+    skipped.push({ round, pick, teamId });
+  }
+
+  return { done: true, reason: 'rounds_complete', skipped };
+}
+
+// Players still up for grabs in a season's draft, best handicap first
+function getDraftPool(season) {
+  return db.prepare(`
+    SELECT p.*, u.name, u.photo_url as user_photo
+    FROM players p
+    JOIN users u ON p.user_id = u.id
+    WHERE p.is_available = 1
+      AND p.id NOT IN (SELECT player_id FROM team_roster WHERE season = ?)
+    ORDER BY p.handicap ASC
+  `).all(season);
+}
+
+function getDraftPick(season, round, slot) {
+  return db.prepare(`
+    SELECT * FROM draft_picks WHERE season = ? AND round_number = ? AND slot = ?
+  `).get(season, round, slot);
+}
+
+// Team that owns a pick in the current draft; picks outside the ledger stay with their original team
+function getPickOwnerId(state, round, pick) {
+  const draftOrder = state.draft_order ? JSON.parse(state.draft_order) : [];
+  const slot = getSlot(draftOrder.length, pick);
+  const draftPick = getDraftPick(state.season, round, slot);
+  return draftPick ? draftPick.owner_team_id : getOriginalTeamId(state.draft_format, draftOrder, round, slot);
+}
+
+function markPickUsed(season, draftOrder, round, pick, playerId) {
+  db.prepare(`
+    UPDATE draft_picks SET player_id = ?, used_at = CURRENT_TIMESTAMP
+    WHERE season = ? AND round_number = ? AND slot = ?
+  `).run(playerId, season, round, getSlot(draftOrder.length, pick));
+}
+
+// A pick passed over because its owner's roster is full
+function markPickSkipped(season, draftOrder, round, pick) {
+  db.prepare(`
+    UPDATE draft_picks SET skipped = 1 WHERE season = ? AND round_number = ? AND slot = ?
+  `).run(season, round, getSlot(draftOrder.length, pick));
+}
+
+// Hand an undone pick back to its owner. Later picks skipped for a full roster are reopened,
+// since the undo may have freed a roster spot.
+function releasePick(season, draftOrder, round, pick) {
+  db.prepare(`
+    UPDATE draft_picks SET player_id = NULL, used_at = NULL
+    WHERE season = ? AND round_number = ? AND slot = ?
+  `).run(season, round, getSlot(draftOrder.length, pick));
+  db.prepare('UPDATE draft_picks SET skipped = 0 WHERE season = ? AND pick_number > ?').run(season, pick);
+}
+
+// Full pick ledger for a season, in draft order
+function getDraftPicks(season) {
+  return db.prepare(`
+    SELECT dp.*, ot.name as original_team_name, owt.name as owner_team_name, u.name as player_name
+    FROM draft_picks dp
+    JOIN teams ot ON dp.original_team_id = ot.id
+    JOIN teams owt ON dp.owner_team_id = owt.id
+    LEFT JOIN players p ON dp.player_id = p.id
+    LEFT JOIN users u ON p.user_id = u.id
+    WHERE dp.season = ?
+    ORDER BY dp.round_number ASC, dp.slot ASC
+  `).all(season);
+}
+
+// Check that every item is still held by the team giving it up; returns an error message or null
+function validateTradeItems(season, items) {
+  for (const item of items) {
+    if (item.item_type === 'pick') {
+      const pick = db.prepare('SELECT * FROM draft_picks WHERE id = ? AND season = ?').get(item.pick_id, season);
+      if (!pick) return `Draft pick ${item.pick_id} not found`;
+      if (pick.owner_team_id !== item.from_team_id) return `Draft pick ${item.pick_id} is not owned by team ${item.from_team_id}`;
+      if (pick.player_id || pick.skipped) return `Draft pick ${item.pick_id} has already been used`;
+    } else {
+      const entry = db.prepare(`
+        SELECT * FROM team_roster WHERE team_id = ? AND player_id = ? AND season = ?
+      `).get(item.from_team_id, item.player_id, season);
+      if (!entry) return `Player ${item.player_id} is not on team ${item.from_team_id}`;
+    }
+  }
+  return null;
+}
+
+// Apply an approved trade: picks change owner and players move rosters, all or nothing
+const executeTrade = db.transaction((trade, items, resolvedBy) => {
+  const error = validateTradeItems(trade.season, items);
+  if (error) {
+    throw new RosterLedgerError(error, { code: 'TRADE_ITEMS_CHANGED', details: { tradeId: trade.id } });
+  }
+
+  items.forEach(item => {
+    if (item.item_type === 'pick') {
+      db.prepare('UPDATE draft_picks SET owner_team_id = ? WHERE id = ?').run(item.to_team_id, item.pick_id);
+    } else {
+      transferPlayer({
+        fromTeamId: item.from_team_id,
+        toTeamId: item.to_team_id,
+        playerId: item.player_id,
+        season: trade.season
+      });
+    }
+  });
+
+  db.prepare(`
+    UPDATE draft_trades SET status = 'approved', resolved_by = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(resolvedBy, trade.id);
+});
+
+module.exports = {
+  getSlot,
+  findNextOpenPick,
+  seedDraftPicks,
+  getDraftPool,
+  getDraftPick,
+  getPickOwnerId,
+  markPickUsed,
+  markPickSkipped,
+  releasePick,
+  getDraftPicks,
+  validateTradeItems,
+  executeTrade
+};
@@ -0,0 +1,159 @@
+const { db } = require('../database');
+
+const DEFAULT_CALENDAR = {
+  daysBetweenRounds: 7,
+  teeTimes: ['07:00'],
+  blackoutDates: [],
+  venues: ['KGA']
+};
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().split('T')[0];
+}
+
+// Round-robin pairings by the circle method: the first team stays put while the rest rotate one place
+// each round. An odd field gets a bye slot. Home goes to whichever side has hosted less so far (then to
+// whoever was away last round) to spread home games evenly; a double round-robin plays the same rounds
+// again with home and away swapped.
+function buildRoundRobin(teamIds, { double = false } = {}) {
+  const slots = teamIds.length % 2 === 0 ? [...teamIds] : [...teamIds, null];
+  const totalRounds = slots.length - 1;
+  const half = slots.length / 2;
+  const rounds = [];
+  const homeGames = new Map(teamIds.map(teamId => [teamId, 0]));
+  const homeLastRound = new Set();
+
+  let rotation = slots;
+  for (let round = 1; round <= totalRounds; round++) {
+    const fixtures = [];
+    let byeTeamId = null;
+
+    for (let i = 0; i < half; i++) {
+      const a = rotation[i];
+      const b = rotation[rotation.length - 1 - i];
+
+      if (a === null || b === null) {
+        byeTeamId = a === null ? b : a;
+        continue;
+      }
+
+      let aAtHome;
+      if (homeGames.get(a) !== homeGames.get(b)) {
+        aAtHome = homeGames.get(a) < homeGames.get(b);
+      } else if (homeLastRound.has(a) !== homeLastRound.has(b)) {
+        aAtHome = homeLastRound.has(b);
+      } else {
+        aAtHome = round % 2 === 1;
+      }
+
+      fixtures.push(aAtHome ? { homeTeamId: a, awayTeamId: b } : { homeTeamId: b, awayTeamId: a });
+    }
+
+    homeLastRound.clear();
+    fixtures.forEach(fixture => {
+      homeGames.set(fixture.homeTeamId, homeGames.get(fixture.homeTeamId) + 1);
+      homeLastRound.add(fixture.homeTeamId);
+    });
+
+    rounds.push({ round, fixtures, byeTeamId });
+    rotation = [rotation[0], rotation[rotation.length - 1], ...rotation.slice(1, rotation.length - 1)];
+  }
+
+  if (double) {
+    rounds.slice().forEach(({ round, fixtures, byeTeamId }) => {
+      rounds.push({
+        round: round + totalRounds,
+        fixtures: fixtures.map(fixture => ({ homeTeamId: fixture.awayTeamId, awayTeamId: fixture.homeTeamId })),
+        byeTeamId
+      });
+    });
+  }
+
+  return rounds;
+}
+
+// Put each round on the calendar: rounds are spaced out from the start date, blackout dates are skipped,
+// and a round's fixtures fill that day's tee times before spilling over to the next available day.
+// Fixtures are played at the home team's venue.
+function scheduleRounds(rounds, teamIds, calendar) {
+  const { startDate, daysBetweenRounds, teeTimes, blackoutDates, venues, homeVenues = {} } = calendar;
+  const blackouts = new Set(blackoutDates);
+  const nextOpenDate = date => {
+    let open = date;
+    while (blackouts.has(open)) open = addDays(open, 1);
+    return open;
+  };
+
+  const venueFor = teamId => homeVenues[teamId] || venues[teamIds.indexOf(teamId) % venues.length];
+
+  const scheduled = [];
+  let roundDate = startDate;
+
+  rounds.forEach(({ round, fixtures }, index) => {
+    if (index > 0) roundDate = addDays(roundDate, daysBetweenRounds);
+    roundDate = nextOpenDate(roundDate);
+
+    let date = roundDate;
+    fixtures.forEach((fixture, slot) => {
+      if (slot > 0 && slot % teeTimes.length === 0) {
+        date = nextOpenDate(addDays(date, 1));
+      }
+
+      scheduled.push({
+        round,
+        team1Id: fixture.homeTeamId,
+        team2Id: fixture.awayTeamId,
+        matchDate: date,
+        teeTime: teeTimes[slot % teeTimes.length],
+        venue: venueFor(fixture.homeTeamId)
+      });
+    });
+
+    roundDate = date;
+  });
+
+  return scheduled;
+}
+
+// Matches in a season that have been played in any form and so can't be regenerated
+function getPlayedMatches(season) {
+  return db.prepare(`
+    SELECT m.id FROM matches m
+    WHERE m.season = ? AND m.stage = 'league'
+      AND (
+        m.status IN ('live', 'completed')
+        OR EXISTS (SELECT 1 FROM hole_scores hs WHERE hs.match_id = m.id)
+        OR EXISTS (SELECT 1 FROM match_scores ms WHERE ms.match_id = m.id)
+        OR EXISTS (SELECT 1 FROM score_submissions ss WHERE ss.match_id = m.id)
+      )
+  `).all(season);
+}
+
+// Replace a season's unplayed league fixtures with a generated schedule. Returns the new match ids.
+const generateSeasonFixtures = db.transaction(({ season, teamIds, double, calendar, courseId, handicapAllowance }) => {
+  const rounds = buildRoundRobin(teamIds, { double });
+  const settings = Object.fromEntries(Object.entries(calendar).filter(([, value]) => value !== undefined));
+  const fixtures = scheduleRounds(rounds, teamIds, { ...DEFAULT_CALENDAR, ...settings });
+
+  db.prepare("DELETE FROM matches WHERE season = ? AND stage = 'league'").run(season);
+
+  const insert = db.prepare(`
+    INSERT INTO matches (round_number, team1_id, team2_id, match_date, tee_time, venue, season, course_id, handicap_allowance)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  return fixtures.map(fixture => insert.run(
+    fixture.round, fixture.team1Id, fixture.team2Id, fixture.matchDate, fixture.teeTime, fixture.venue,
+    season, courseId || null, handicapAllowance ?? 100
+  ).lastInsertRowid);
+});
+
+module.exports = {
+  DEFAULT_CALENDAR,
+  buildRoundRobin,
+  scheduleRounds,
+  getPlayedMatches,
+  generateSeasonFixtures
+};
@@ -0,0 +1,601 @@
+const { db } = require('../database');
+
+const HOLES_IN_ROUND = 18;
+
+// Standard par-72 layout used until a match is played on a configured course
+const DEFAULT_HOLES = [
+  { hole: 1, par: 4, strokeIndex: 7 },
+  { hole: 2, par: 5, strokeIndex: 13 },
+  { hole: 3, par: 3, strokeIndex: 17 },
+  { hole: 4, par: 4, strokeIndex: 1 },
+  { hole: 5, par: 4, strokeIndex: 9 },
+  { hole: 6, par: 3, strokeIndex: 15 },
+  { hole: 7, par: 4, strokeIndex: 3 },
+  { hole: 8, par: 5, strokeIndex: 11 },
+  { hole: 9, par: 4, strokeIndex: 5 },
+  { hole: 10, par: 4, strokeIndex: 8 },
+  { hole: 11, par: 3, strokeIndex: 16 },
+  { hole: 12, par: 5, strokeIndex: 12 },
+  { hole: 13, par: 4, strokeIndex: 2 },
+  { hole: 14, par: 4, strokeIndex: 10 },
+  { hole: 15, par: 3, strokeIndex: 18 },
+  { hole: 16, par: 4, strokeIndex: 4 },
+  { hole: 17, par: 5, strokeIndex: 14 },
+  { hole: 18, par: 4, strokeIndex: 6 }
+];
+
+// Par and stroke index for each hole of a match's course; matches without a course use the default layout
+function getCourseHoles(courseId) {
+  if (!courseId) return DEFAULT_HOLES;
+
+  const holes = db.prepare(`
+    SELECT hole_number, par, stroke_index FROM course_holes WHERE course_id = ? ORDER BY hole_number ASC
+  `).all(courseId);
+
+  if (holes.length !== HOLES_IN_ROUND) return DEFAULT_HOLES;
+  return holes.map(hole => ({ hole: hole.hole_number, par: hole.par, strokeIndex: hole.stroke_index }));
+}
+
+// Handicap strokes a player gets on a hole: one on each hole whose stroke index is within their
+// allocation, plus one on every hole for each full 18 they receive
+function getStrokesOnHole(strokesReceived, strokeIndex) {
+  return Math.floor(strokesReceived / HOLES_IN_ROUND) + (strokeIndex <= strokesReceived % HOLES_IN_ROUND ? 1 : 0);
+}
+
+// Knockout matches always allow extra holes; other matches can be set to
+function allowsExtraHoles(match) {
+  return match.stage === 'playoff' || !!match.allow_extra_holes;
+}
+
+// Course hole an extra hole is played on. Hole 19 is the match's configured starting hole (the 1st
+// unless set) and each further extra hole is the next one round the course.
+function getExtraHoleCourseHole(match, holeNumber) {
+  const start = match.extra_holes_start || 1;
+  return ((start - 1 + holeNumber - HOLES_IN_ROUND - 1) % HOLES_IN_ROUND) + 1;
+}
+
+const RUBBER_FORMATS = {
+  singles: { playersPerSide: 1 },
+  fourball: { playersPerSide: 2 },
+  foursomes: { playersPerSide: 2 }
+};
+
+function getHandicap(playerId) {
+  const player = db.prepare('SELECT handicap FROM players WHERE id = ?').get(playerId);
+  return player && player.handicap !== null ? player.handicap : 0;
+}
+
+// Playing handicaps for everyone who has scored in a match. The allowance (a percentage) is applied first,
+// then the lowest player plays off scratch and everyone else receives the difference.
+// In foursomes a pair plays one ball, so the pair's scorer carries half the pair's combined handicap.
+function getHandicapAllocation(match, playerIds, pairs = new Map()) {
+  const allowance = match.handicap_allowance ?? 100;
+  const players = [...new Set(playerIds)].map(playerId => {
+    const pair = pairs.get(playerId);
+    const handicap = pair
+      ? pair.reduce((sum, partnerId) => sum + getHandicap(partnerId), 0) / 2
+      : getHandicap(playerId);
+    return { playerId, handicap, playingHandicap: Math.round(handicap * allowance / 100) };
+  });
+
+  const lowest = Math.min(...players.map(player => player.playingHandicap));
+  return new Map(players.map(player => [
+    player.playerId,
+    { ...player, strokesReceived: player.playingHandicap - lowest }
+  ]));
+}
+
+// A side's score on a hole: its best net ball when more than one player scored
+function getSideScore(scores) {
+  if (scores.length === 0) return null;
+  const best = scores.reduce((low, score) => (score.net < low.net ? score : low));
+  return {
+    gross: best.gross,
+    strokesReceived: best.strokesReceived,
+    net: best.net,
+    playerId: best.playerId,
+    players: scores.length
+  };
+}
+
+// Net scores for both sides on one hole, and who won it if both sides have a score
+function scoreHole(match, course, holeStrokes, allocation) {
+  const scores = holeStrokes.map(s => {
+    const received = getStrokesOnHole(allocation.get(s.player_id).strokesReceived, course.strokeIndex);
+    return { playerId: s.player_id, teamId: s.team_id, gross: s.strokes, strokesReceived: received, net: s.strokes - received };
+  });
+
+  const team1 = getSideScore(scores.filter(s => s.teamId === match.team1_id));
+  const team2 = getSideScore(scores.filter(s => s.teamId === match.team2_id));
+  const complete = !!(team1 && team2);
+  const winnerTeamId = complete && team1.net !== team2.net
+    ? (team1.net < team2.net ? match.team1_id : match.team2_id)
+    : null;
+
+  return { scores, team1, team2, complete, winnerTeamId };
+}
+
+// Describe a finished match the way golfers do: "3&2", "2 up", or "Halved"
+function formatResult(margin, toPlay) {
+  if (margin === 0) return 'Halved';
+  return toPlay > 0 ? `${margin}&${toPlay}` : `${margin} up`;
+}
+
+// 19 -> "19th", 21 -> "21st"
+function ordinal(n) {
+  const suffixes = ['th', 'st', 'nd', 'rd'];
+  const lastTwo = n % 100;
+  return `${n}${suffixes[(lastTwo - 20) % 10] || suffixes[lastTwo] || suffixes[0]}`;
+}
+
+// Fixture points as written on a scoreboard: 2½, ½, 3
+function formatPoints(points) {
+  const whole = Math.floor(points);
+  if (points === whole) return `${whole}`;
+  return whole === 0 ? '½' : `${whole}½`;
+}
+
+// Strokes count once both sides agree on them or an official has set them
+const VERIFIED_STATUSES = ['confirmed', 'resolved'];
+
+// Hole-by-hole match play over one sheet of strokes: hole winners on net scores, the running standing,
+// dormie and the finished result. Sheets with no strokes fall back to self-reported hole results.
+// Only verified strokes decide holes, and an open dispute keeps the match from finishing.
+// With extraHoles, strokes beyond the 18th are scored too (see applySuddenDeath for how they count).
+function calculateSheet(match, entries, legacy, allocation, { extraHoles = false } = {}) {
+  const layout = getCourseHoles(match.course_id);
+  const strokes = entries.filter(entry => VERIFIED_STATUSES.includes(entry.status));
+  const disputedHoles = [...new Set(entries.filter(e => e.status === 'disputed').map(e => e.hole_number))];
+  const pendingHoles = [...new Set(entries.filter(e => e.status === 'pending').map(e => e.hole_number))];
+
+  let standing = 0; // holes up for team 1 (negative when team 2 leads)
+  let holesPlayed = 0;
+  let team1Holes = 0;
+  let team2Holes = 0;
+  let decidedAt = null;
+
+  const holes = layout.map(course => {
+    let scores = [];
+    let team1 = null;
+    let team2 = null;
+    let winnerTeamId = null;
+    let complete = false;
+
+    if (entries.length > 0) {
+      ({ scores, team1, team2, complete, winnerTeamId } = scoreHole(
+        match, course, strokes.filter(s => s.hole_number === course.hole), allocation
+      ));
+    } else {
+      const reported = legacy.filter(s => s.hole_number === course.hole);
+      complete = reported.length > 0;
+      const won = reported.find(s => s.result === 'won');
+      const lost = reported.find(s => s.result === 'lost');
+      if (won) winnerTeamId = won.team_id;
+      else if (lost) winnerTeamId = lost.team_id === match.team1_id ? match.team2_id : match.team1_id;
+    }
+
+    // Holes after the match was decided are recorded but don't count
+    if (complete && decidedAt === null) {
+      holesPlayed++;
+      if (winnerTeamId === match.team1_id) { standing++; team1Holes++; }
+      if (winnerTeamId === match.team2_id) { standing--; team2Holes++; }
+      if (Math.abs(standing) > HOLES_IN_ROUND - holesPlayed) decidedAt = course.hole;
+    }
+
+    return {
+      hole: course.hole,
+      par: course.par,
+      strokeIndex: course.strokeIndex,
+      scores,
+      team1,
+      team2,
+      complete,
+      winnerTeamId,
+      result: !complete ? null : winnerTeamId === null ? 'halved' : winnerTeamId === match.team1_id ? 'team1' : 'team2',
+      standing: complete ? standing : null,
+      disputed: disputedHoles.includes(course.hole),
+      pending: pendingHoles.includes(course.hole)
+    };
+  });
+
+  const extraHoleNumbers = !extraHoles ? [] : [...new Set(
+    strokes.filter(s => s.hole_number > HOLES_IN_ROUND).map(s => s.hole_number)
+  )].sort((a, b) => a - b);
+
+  const extra = extraHoleNumbers.map(holeNumber => {
+    const courseHole = getExtraHoleCourseHole(match, holeNumber);
+    const course = layout.find(hole => hole.hole === courseHole);
+    const played = scoreHole(match, course, strokes.filter(s => s.hole_number === holeNumber), allocation);
+
+    return {
+      hole: holeNumber,
+      courseHole,
+      par: course.par,
+      strokeIndex: course.strokeIndex,
+      ...played,
+      result: !played.complete ? null
+        : played.winnerTeamId === null ? 'halved' : played.winnerTeamId === match.team1_id ? 'team1' : 'team2',
+      disputed: disputedHoles.includes(holeNumber),
+      pending: pendingHoles.includes(holeNumber)
+    };
+  });
+
+  // A dispute on an extra hole holds up sudden death, not the result after 18
+  const openDisputes = disputedHoles.filter(hole => hole <= HOLES_IN_ROUND);
+  const toPlay = HOLES_IN_ROUND - holesPlayed;
+  const margin = Math.abs(standing);
+  const isOver = (holesPlayed >= HOLES_IN_ROUND || margin > toPlay) && openDisputes.length === 0;
+  const isDormie = !isOver && margin > 0 && margin === toPlay;
+  const leaderTeamId = standing > 0 ? match.team1_id : standing < 0 ? match.team2_id : null;
+
+  let statusText;
+  if (isOver) {
+    statusText = formatResult(margin, toPlay);
+  } else if (openDisputes.length > 0) {
+    statusText = `Disputed score on hole ${openDisputes.join(', ')}`;
+  } else if (holesPlayed === 0) {
+    statusText = 'Not started';
+  } else if (standing === 0) {
+    statusText = `All square thru ${holesPlayed}`;
+  } else {
+    statusText = `${margin} up thru ${holesPlayed}${isDormie ? ' (dormie)' : ''}`;
+  }
+
+  return {
+    holes,
+    extraHoles: extra,
+    standing,
+    team1Holes,
+    team2Holes,
+    holesPlayed,
+    toPlay,
+    isDormie,
+    isOver,
+    leaderTeamId,
+    winnerId: isOver ? leaderTeamId : null,
+    finalResult: isOver ? formatResult(margin, toPlay) : null,
+    statusText,
+    disputedHoles,
+    pendingHoles,
+    handicapAllowance: match.handicap_allowance ?? 100,
+    handicaps: [...allocation.values()],
+    source: entries.length > 0 ? 'strokes' : 'reported'
+  };
+}
+
+function getRubbers(matchId) {
+  return db.prepare('SELECT * FROM match_rubbers WHERE match_id = ? ORDER BY rubber_number ASC').all(matchId);
+}
+
+function getRubberPlayers(rubberId) {
+  return db.prepare(`
+    SELECT mrp.team_id, mrp.player_id, u.name as player_name, p.handicap
+    FROM match_rubber_players mrp
+    JOIN players p ON mrp.player_id = p.id
+    JOIN users u ON p.user_id = u.id
+    WHERE mrp.rubber_id = ?
+    ORDER BY mrp.id ASC
+  `).all(rubberId);
+}
+
+// In foursomes each pair's strokes are recorded against its first-named player
+function getScoringPlayerId(rubber, players, teamId, playerId) {
+  if (rubber.format !== 'foursomes') return playerId;
+  return players.find(player => player.team_id === teamId).player_id;
+}
+
+// Match play state of one rubber within a fixture
+function calculateRubberState(match, rubber) {
+  const players = getRubberPlayers(rubber.id);
+  const strokes = db.prepare(`
+    SELECT * FROM hole_scores WHERE rubber_id = ? ORDER BY hole_number ASC, team_id ASC
+  `).all(rubber.id);
+
+  const pairs = new Map();
+  if (rubber.format === 'foursomes') {
+    [match.team1_id, match.team2_id].forEach(teamId => {
+      const pair = players.filter(player => player.team_id === teamId).map(player => player.player_id);
+      pairs.set(pair[0], pair);
+    });
+  }
+
+  const allocation = getHandicapAllocation(match, strokes.map(score => score.player_id), pairs);
+
+  return {
+    rubberId: rubber.id,
+    rubberNumber: rubber.rubber_number,
+    format: rubber.format,
+    players,
+    ...calculateSheet(match, strokes, [], allocation)
+  };
+}
+
+// A fixture made of rubbers: each finished rubber is worth 1 point to its winner, or ½ each when halved.
+// The fixture is over once every rubber is, and goes to the side with more points.
+function calculateFixtureState(match, rubbers) {
+  const rubberStates = rubbers.map(rubber => calculateRubberState(match, rubber));
+
+  let team1Points = 0;
+  let team2Points = 0;
+  rubberStates.filter(state => state.isOver).forEach(state => {
+    if (state.winnerId === match.team1_id) team1Points += 1;
+    else if (state.winnerId === match.team2_id) team2Points += 1;
+    else { team1Points += 0.5; team2Points += 0.5; }
+  });
+
+  const rubbersComplete = rubberStates.filter(state => state.isOver).length;
+  const inPlay = rubberStates.filter(state => !state.isOver && state.holesPlayed > 0).length;
+  const isOver = rubbersComplete === rubberStates.length;
+  const leaderTeamId = team1Points > team2Points ? match.team1_id : team2Points > team1Points ? match.team2_id : null;
+  const score = `${formatPoints(team1Points)}-${formatPoints(team2Points)}`;
+
+  let statusText;
+  if (isOver) {
+    statusText = score;
+  } else if (rubbersComplete === 0 && inPlay === 0) {
+    statusText = 'Not started';
+  } else {
+    statusText = `${score}, ${inPlay} in play`;
+  }
+
+  return {
+    type: 'fixture',
+    rubbers: rubberStates,
+    team1Points,
+    team2Points,
+    rubbersComplete,
+    rubbersInPlay: inPlay,
+    standing: team1Points - team2Points,
+    holesPlayed: null,
+    toPlay: null,
+    isDormie: false,
+    isOver,
+    leaderTeamId,
+    winnerId: isOver ? leaderTeamId : null,
+    finalResult: isOver ? score : null,
+    statusText
+  };
+}
+
+// A match that allows extra holes (every knockout match does) can't finish level: when halved it goes on
+// to the 19th, 20th and so on until a side wins one. Each extra hole is decided by the strokes scored on
+// it, or by an official's call where no card was kept; play stops at the first hole without either.
+function applySuddenDeath(match, state) {
+  if (!allowsExtraHoles(match) || !state.isOver || state.winnerId !== null) return state;
+
+  const called = db.prepare(`
+    SELECT * FROM sudden_death_holes WHERE match_id = ? ORDER BY extra_hole ASC
+  `).all(match.id);
+  const scored = state.extraHoles || [];
+
+  const holes = [];
+  for (let extraHole = 1; ; extraHole++) {
+    const holeNumber = HOLES_IN_ROUND + extraHole;
+    const onCard = scored.find(hole => hole.hole === holeNumber && hole.complete);
+    const call = called.find(hole => hole.extra_hole === extraHole);
+    if (!onCard && !call) break;
+
+    holes.push(onCard
+      ? {
+        extraHole,
+        hole: holeNumber,
+        courseHole: onCard.courseHole,
+        winnerTeamId: onCard.winnerTeamId,
+        team1Net: onCard.team1.net,
+        team2Net: onCard.team2.net,
+        source: 'strokes'
+      }
+      : {
+        extraHole,
+        hole: holeNumber,
+        courseHole: call.course_hole,
+        winnerTeamId: call.winner_team_id,
+        team1Net: null,
+        team2Net: null,
+        source: 'official'
+      });
+
+    if (holes[holes.length - 1].winnerTeamId !== null) break;
+  }
+
+  const decider = holes.find(hole => hole.winnerTeamId !== null);
+
+  if (decider) {
+    const finalResult = `Won at the ${ordinal(decider.hole)}`;
+    return {
+      ...state,
+      leaderTeamId: decider.winnerTeamId,
+      winnerId: decider.winnerTeamId,
+      finalResult: state.type === 'fixture' ? `${state.finalResult}, ${finalResult.toLowerCase()}` : finalResult,
+      statusText: finalResult,
+      suddenDeath: { holes, decided: true }
+    };
+  }
+
+  const nextHole = HOLES_IN_ROUND + holes.length + 1;
+  const disputed = (state.disputedHoles || []).includes(nextHole);
+
+  return {
+    ...state,
+    isOver: false,
+    finalResult: null,
+    statusText: disputed
+      ? `Disputed score on hole ${nextHole}`
+      : `All square after the ${ordinal(nextHole - 1)}, sudden death`,
+    suddenDeath: { holes, decided: false }
+  };
+}
+
+// The single canonical calculation for a match: a fixture's rubber points when it has rubbers,
+// otherwise the one hole-by-hole sheet played between the two teams
+function calculateMatchState(match) {
+  const rubbers = getRubbers(match.id);
+  if (rubbers.length > 0) {
+    return applySuddenDeath(match, calculateFixtureState(match, rubbers));
+  }
+
+  const strokes = db.prepare(`
+    SELECT * FROM hole_scores WHERE match_id = ? AND rubber_id IS NULL ORDER BY hole_number ASC, team_id ASC
+  `).all(match.id);
+
+  const allocation = getHandicapAllocation(match, strokes.map(score => score.player_id));
+
+  const legacy = strokes.length === 0
+    ? db.prepare(`
+      SELECT * FROM match_scores WHERE match_id = ? AND rubber_id IS NULL ORDER BY hole_number ASC
+    `).all(match.id)
+    : [];
+
+  return applySuddenDeath(match, {
+    type: 'match',
+    ...calculateSheet(match, strokes, legacy, allocation, { extraHoles: allowsExtraHoles(match) })
+  });
+}
+
+// Hole-by-hole card for a match or one of its rubbers: gross, strokes received and net for every player,
+// with round totals
+function getScorecard(match, rubber = null) {
+  const state = rubber ? calculateRubberState(match, rubber) : calculateMatchState(match);
+  const course = match.course_id
+    ? db.prepare('SELECT id, name, venue FROM courses WHERE id = ?').get(match.course_id)
+    : null;
+
+  const players = state.handicaps.map(handicap => {
+    const player = db.prepare(`
+      SELECT u.name FROM players p JOIN users u ON p.user_id = u.id WHERE p.id = ?
+    `).get(handicap.playerId);
+    const played = state.holes.flatMap(hole => hole.scores.filter(score => score.playerId === handicap.playerId));
+
+    return {
+      ...handicap,
+      name: player ? player.name : null,
+      teamId: played.length > 0 ? played[0].teamId : null,
+      holesPlayed: played.length,
+      gross: played.reduce((sum, score) => sum + score.gross, 0),
+      net: played.reduce((sum, score) => sum + score.net, 0)
+    };
+  });
+
+  return {
+    matchId: match.id,
+    rubberId: rubber ? rubber.id : null,
+    format: rubber ? rubber.format : null,
+    course,
+    par: state.holes.reduce((sum, hole) => sum + hole.par, 0),
+    handicapAllowance: state.handicapAllowance,
+    players,
+    holes: state.holes.map(hole => ({
+      hole: hole.hole,
+      par: hole.par,
+      strokeIndex: hole.strokeIndex,
+      scores: hole.scores,
+      team1Net: hole.team1 ? hole.team1.net : null,
+      team2Net: hole.team2 ? hole.team2.net : null,
+      winnerTeamId: hole.winnerTeamId,
+      result: hole.result,
+      standing: hole.standing
+    })),
+    extraHoles: state.suddenDeath ? state.suddenDeath.holes : [],
+    standing: state.standing,
+    statusText: state.statusText,
+    finalResult: state.finalResult,
+    source: state.source
+  };
+}
+
+// Rewrite the derived per-hole won/lost/squared rows for one sheet (a rubber, or the match itself),
+// including any extra holes that were scored and counted
+function writeHoleResults(match, rubberId, state) {
+  db.prepare('DELETE FROM match_scores WHERE match_id = ? AND rubber_id IS ?').run(match.id, rubberId);
+
+  const insert = db.prepare(`
+    INSERT INTO match_scores (match_id, rubber_id, hole_number, team_id, player_id, result)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const extraHoles = (state.suddenDeath ? state.suddenDeath.holes : [])
+    .filter(hole => hole.source === 'strokes')
+    .map(hole => state.extraHoles.find(scored => scored.hole === hole.hole));
+
+  [...state.holes, ...extraHoles].filter(hole => hole.complete).forEach(hole => {
+    [[match.team1_id, hole.team1], [match.team2_id, hole.team2]].forEach(([teamId, side]) => {
+      const result = hole.winnerTeamId === null ? 'squared' : hole.winnerTeamId === teamId ? 'won' : 'lost';
+      insert.run(match.id, rubberId, hole.hole, teamId, side.playerId, result);
+    });
+  });
+}
+
+// Re-derive a match from its strokes: per-hole won/lost/squared rows, live status and the final result.
+// With a rubber, that rubber is re-derived and its points rolled up into the fixture.
+// Returns the fresh calculation (the rubber's, with the fixture attached, when a rubber is given).
+const recalculateMatch = db.transaction((matchId, rubberId = null) => {
+  const match = db.prepare('SELECT * FROM matches WHERE id = ?').get(matchId);
+  let state;
+
+  if (rubberId) {
+    const rubber = db.prepare('SELECT * FROM match_rubbers WHERE id = ?').get(rubberId);
+    const rubberState = calculateRubberState(match, rubber);
+    writeHoleResults(match, rubber.id, rubberState);
+
+    const points = !rubberState.isOver ? [0, 0]
+      : rubberState.winnerId === match.team1_id ? [1, 0]
+        : rubberState.winnerId === match.team2_id ? [0, 1] : [0.5, 0.5];
+
+    db.prepare(`
+      UPDATE match_rubbers SET
+        status = ?, winner_team_id = ?, final_result = ?, team1_points = ?, team2_points = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      rubberState.isOver ? 'completed' : rubberState.holesPlayed > 0 ? 'live' : 'scheduled',
+      rubberState.winnerId, rubberState.finalResult, points[0], points[1], rubber.id
+    );
+
+    state = calculateMatchState(match);
+  } else {
+    state = calculateMatchState(match);
+    if (state.source === 'strokes') {
+      writeHoleResults(match, null, state);
+    }
+  }
+
+  const started = state.type === 'fixture'
+    ? state.rubbersComplete + state.rubbersInPlay > 0
+    : state.holesPlayed > 0;
+
+  if (state.isOver) {
+    db.prepare(`
+      UPDATE matches SET status = 'completed', winner_id = ?, final_result = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(state.winnerId, state.finalResult, match.id);
+  } else if (started || match.status === 'completed') {
+    // A correction can re-open a match that had been called finished
+    db.prepare(`
+      UPDATE matches SET status = 'live', winner_id = NULL, final_result = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status IN ('scheduled', 'completed')
+    `).run(match.id);
+  }
+
+  if (rubberId) {
+    return { ...state.rubbers.find(rubber => rubber.rubberId === rubberId), fixture: state };
+  }
+  return state;
+});
+
+module.exports = {
+  HOLES_IN_ROUND,
+  DEFAULT_HOLES,
+  RUBBER_FORMATS,
+  ordinal,
+  allowsExtraHoles,
+  getExtraHoleCourseHole,
+  getCourseHoles,
+  getStrokesOnHole,
+  getRubbers,
+  getRubberPlayers,
+  getScoringPlayerId,
+  calculateMatchState,
+  calculateRubberState,
+  getScorecard,
+  recalculateMatch
+};
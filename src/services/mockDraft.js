@@ -0,0 +1,266 @@
+const { db } = require('../database');
+const { buildDraftBoard, drawLotteryOrder } = require('./draftOrder');
+const { findNextOpenPick, getDraftPool } = require('./draftPicks');
+
+const BOT_STRATEGIES = ['best_handicap', 'positional_need', 'random'];
+
+// Golf has no positions, so a bot's "need" is the handicap band its roster is thinnest in
+const HANDICAP_BANDS = [
+  { name: 'low', max: 5 },
+  { name: 'mid', max: 12 },
+  { name: 'high', max: Infinity }
+];
+
+function getHandicapBand(handicap) {
+  return HANDICAP_BANDS.find(band => (handicap ?? Infinity) <= band.max).name;
+}
+
+// Pick for a bot seat from the remaining pool (sorted best handicap first)
+function chooseBotPick(strategy, pool, rosterHandicaps) {
+  if (strategy === 'random') {
+    return pool[Math.floor(Math.random() * pool.length)];
+  }
+
+  if (strategy === 'positional_need') {
+    const counts = Object.fromEntries(HANDICAP_BANDS.map(band => [band.name, 0]));
+    rosterHandicaps.forEach(handicap => counts[getHandicapBand(handicap)]++);
+
+    // Thinnest band that still has players; ties go to the lower band
+    const [needed] = HANDICAP_BANDS
+      .filter(band => pool.some(player => getHandicapBand(player.handicap) === band.name))
+      .sort((a, b) => counts[a.name] - counts[b.name]);
+
+    return pool.find(player => getHandicapBand(player.handicap) === needed.name);
+  }
+
+  return pool[0];
+}
+
+function getMockRow(mockId) {
+  const row = db.prepare('SELECT * FROM mock_drafts WHERE id = ?').get(mockId);
+  if (!row) return null;
+
+  return {
+    ...row,
+    draft_order: JSON.parse(row.draft_order),
+    board: JSON.parse(row.board),
+    pool: JSON.parse(row.pool),
+    starting_rosters: JSON.parse(row.starting_rosters),
+    seats: JSON.parse(row.seats)
+  };
+}
+
+// Snapshot the live pool and rosters into a new mock draft and let bots pick up to the first human seat
+const createMockDraft = db.transaction(({
+  season,
+  format,
+  rounds,
+  rosterCap,
+  teamOrder,
+  lotterySeed,
+  userSeats,
+  botStrategy,
+  botStrategies,
+  createdBy
+}) => {
+  const draftOrder = format === 'lottery' ? drawLotteryOrder(season, teamOrder, lotterySeed).order : teamOrder;
+  const board = buildDraftBoard(format, draftOrder, rounds);
+  const pool = getDraftPool(season).map(player => ({ id: player.id, handicap: player.handicap }));
+
+  const startingRosters = {};
+  draftOrder.forEach(teamId => {
+    startingRosters[teamId] = db.prepare(`
+      SELECT p.handicap FROM team_roster tr JOIN players p ON tr.player_id = p.id
+      WHERE tr.team_id = ? AND tr.season = ?
+    `).all(teamId, season).map(row => row.handicap);
+  });
+
+  const seats = {};
+  draftOrder.forEach(teamId => {
+    seats[teamId] = userSeats[teamId]
+      ? { type: 'user', userId: userSeats[teamId] }
+      : { type: 'bot', strategy: botStrategies[teamId] || botStrategy };
+  });
+
+  const result = db.prepare(`
+    INSERT INTO mock_drafts (season, format, rounds, roster_cap, draft_order, board, pool, starting_rosters, seats, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    season, format, rounds, rosterCap,
+    JSON.stringify(draftOrder), JSON.stringify(board), JSON.stringify(pool),
+    JSON.stringify(startingRosters), JSON.stringify(seats), createdBy
+  );
+
+  runMockDraft(result.lastInsertRowid);
+
+  return result.lastInsertRowid;
+});
+
+// Play bot seats and skip full rosters until a human seat is on the clock or the mock is over
+const runMockDraft = db.transaction(mockId => {
+  const mock = getMockRow(mockId);
+  const picks = db.prepare('SELECT * FROM mock_draft_picks WHERE mock_draft_id = ?').all(mockId);
+
+  const taken = new Set(picks.filter(pick => pick.player_id).map(pick => pick.player_id));
+  const rosters = {};
+  Object.entries(mock.starting_rosters).forEach(([teamId, handicaps]) => {
+    rosters[teamId] = [...handicaps];
+  });
+  picks.filter(pick => pick.player_id).forEach(pick => {
+    rosters[pick.team_id].push(mock.pool.find(player => player.id === pick.player_id).handicap);
+  });
+
+  const insertPick = db.prepare(`
+    INSERT INTO mock_draft_picks (mock_draft_id, pick_number, round_number, slot, team_id, player_id, skipped, made_by, strategy)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  let pickNumber = mock.current_pick;
+  let remaining = mock.pool.filter(player => !taken.has(player.id));
+
+  while (pickNumber <= mock.board.length && remaining.length > 0) {
+    // Full rosters are passed over exactly as in the live draft
+    const next = findNextOpenPick({
+      fromPick: pickNumber,
+      totalPicks: mock.board.length,
+      teamsPerRound: mock.draft_order.length,
+      rosterCap: mock.roster_cap,
+      getOwnerId: (round, pick) => mock.board[pick - 1].teamId,
+      getRosterSize: teamId => rosters[teamId].length
+    });
+
+    next.skipped.forEach(({ pick }) => {
+      const slot = mock.board[pick - 1];
+      insertPick.run(mockId, slot.pickNumber, slot.round, slot.slot, slot.teamId, null, 1, null, null);
+    });
+
+    if (next.done) {
+      pickNumber = mock.board.length + 1;
+      break;
+    }
+
+    pickNumber = next.pick;
+    const slot = mock.board[pickNumber - 1];
+    const roster = rosters[slot.teamId];
+    const seat = mock.seats[slot.teamId];
+
+    if (seat.type === 'user') break;
+
+    const player = chooseBotPick(seat.strategy, remaining, roster);
+    insertPick.run(mockId, slot.pickNumber, slot.round, slot.slot, slot.teamId, player.id, 0, 'bot', seat.strategy);
+    roster.push(player.handicap);
+    remaining = remaining.filter(p => p.id !== player.id);
+    pickNumber++;
+  }
+
+  const completed = pickNumber > mock.board.length || remaining.length === 0;
+
+  db.prepare(`
+    UPDATE mock_drafts SET
+      current_pick = ?,
+      status = ?,
+      completed_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE NULL END
+    WHERE id = ?
+  `).run(pickNumber, completed ? 'completed' : 'in_progress', completed ? 1 : 0, mockId);
+});
+
+// A human seat makes its pick; bots then carry on to the next human seat
+function makeMockPick(mockId, user, playerId) {
+  const mock = getMockRow(mockId);
+  if (!mock) {
+    return { success: false, status: 404, error: 'Mock draft not found' };
+  }
+
+  if (mock.status !== 'in_progress') {
+    return { success: false, status: 400, error: 'Mock draft is already complete' };
+  }
+
+  const slot = mock.board[mock.current_pick - 1];
+  const seat = mock.seats[slot.teamId];
+
+  if (Number(seat.userId) !== Number(user.id) && user.role !== 'admin') {
+    return { success: false, status: 403, error: 'It is not your turn to pick' };
+  }
+
+  // Ids arrive as strings or numbers depending on the client
+  const pickedId = parseInt(playerId);
+  const player = mock.pool.find(p => p.id === pickedId);
+  const taken = db.prepare(`
+    SELECT 1 FROM mock_draft_picks WHERE mock_draft_id = ? AND player_id = ?
+  `).get(mockId, pickedId);
+
+  if (!player || taken) {
+    return { success: false, status: 404, error: 'Player not found or not available' };
+  }
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO mock_draft_picks (mock_draft_id, pick_number, round_number, slot, team_id, player_id, made_by)
+      VALUES (?, ?, ?, ?, ?, ?, 'user')
+    `).run(mockId, slot.pickNumber, slot.round, slot.slot, slot.teamId, pickedId);
+    db.prepare('UPDATE mock_drafts SET current_pick = current_pick + 1 WHERE id = ?').run(mockId);
+    runMockDraft(mockId);
+  })();
+
+  return { success: true, mock: getMockDraft(mockId) };
+}
+
+// Shareable board for a mock draft: every pick with its team, player and who made it
+function getMockDraft(mockId) {
+  const mock = getMockRow(mockId);
+  if (!mock) return null;
+
+  const teamNames = Object.fromEntries(
+    db.prepare('SELECT id, name FROM teams').all().map(team => [team.id, team.name])
+  );
+
+  const picks = db.prepare(`
+    SELECT mdp.*, u.name as player_name, p.handicap
+    FROM mock_draft_picks mdp
+    LEFT JOIN players p ON mdp.player_id = p.id
+    LEFT JOIN users u ON p.user_id = u.id
+    WHERE mdp.mock_draft_id = ?
+  `).all(mockId);
+  const picksByNumber = new Map(picks.map(pick => [pick.pick_number, pick]));
+
+  const takenIds = new Set(picks.filter(pick => pick.player_id).map(pick => pick.player_id));
+  const onTheClock = mock.status === 'in_progress' ? mock.board[mock.current_pick - 1] : null;
+
+  return {
+    id: mock.id,
+    season: mock.season,
+    format: mock.format,
+    rounds: mock.rounds,
+    rosterCap: mock.roster_cap,
+    status: mock.status,
+    draftOrder: mock.draft_order,
+    seats: mock.seats,
+    currentPick: onTheClock ? mock.current_pick : null,
+    currentTeamId: onTheClock ? onTheClock.teamId : null,
+    availablePlayerIds: mock.pool.filter(player => !takenIds.has(player.id)).map(player => player.id),
+    board: mock.board.map(slot => {
+      const pick = picksByNumber.get(slot.pickNumber);
+      return {
+        ...slot,
+        teamName: teamNames[slot.teamId],
+        playerId: pick ? pick.player_id : null,
+        playerName: pick ? pick.player_name : null,
+        handicap: pick ? pick.handicap : null,
+        skipped: pick ? !!pick.skipped : false,
+        madeBy: pick ? pick.made_by : null,
+        strategy: pick ? pick.strategy : null
+      };
+    }),
+    createdBy: mock.created_by,
+    createdAt: mock.created_at,
+    completedAt: mock.completed_at
+  };
+}
+
+module.exports = {
+  BOT_STRATEGIES,
+  HANDICAP_BANDS,
+  createMockDraft,
+  makeMockPick,
+  getMockDraft
+};
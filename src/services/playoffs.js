@@ -0,0 +1,215 @@
+const { db } = require('../database');
+const { HOLES_IN_ROUND, getExtraHoleCourseHole, calculateMatchState, recalculateMatch } = require('./matchPlay');
+const { getLeagueTable } = require('./standings');
+
+// Bracket layouts. Each tie names where its two sides come from.
+const PLAYOFF_FORMATS = {
+  // 1v4 and 2v3, winners meet in the final
+  semi_finals: [
+    { key: 'SF1', name: 'Semi-final 1', round: 1, team1: 'seed:1', team2: 'seed:4' },
+    { key: 'SF2', name: 'Semi-final 2', round: 1, team1: 'seed:2', team2: 'seed:3' },
+    { key: 'F', name: 'Final', round: 2, team1: 'winner:SF1', team2: 'winner:SF2' }
+  ],
+  // Page playoff: the top two get a second chance, 3v4 is knockout
+  page: [
+    { key: 'Q1', name: 'Qualifier 1', round: 1, team1: 'seed:1', team2: 'seed:2' },
+    { key: 'EL', name: 'Eliminator', round: 1, team1: 'seed:3', team2: 'seed:4' },
+    { key: 'Q2', name: 'Qualifier 2', round: 2, team1: 'loser:Q1', team2: 'winner:EL' },
+    { key: 'F', name: 'Final', round: 3, team1: 'winner:Q1', team2: 'winner:Q2' }
+  ]
+};
+
+const PLAYOFF_TEAMS = 4;
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().split('T')[0];
+}
+
+function getBracketRow(season) {
+  const row = db.prepare('SELECT * FROM playoff_brackets WHERE season = ?').get(season);
+  if (!row) return null;
+  return { ...row, seeds: JSON.parse(row.seeds), schedule: row.schedule ? JSON.parse(row.schedule) : {} };
+}
+
+// Team a source resolves to, or null while the tie it depends on is undecided
+function resolveSource(source, seeds, slotsByKey) {
+  const [kind, ref] = source.split(':');
+  if (kind === 'seed') return seeds[parseInt(ref) - 1] ?? null;
+
+  const slot = slotsByKey.get(ref);
+  const match = slot && slot.match_id ? db.prepare('SELECT * FROM matches WHERE id = ?').get(slot.match_id) : null;
+  if (!match || match.status !== 'completed' || !match.winner_id) return null;
+
+  if (kind === 'winner') return match.winner_id;
+  return match.winner_id === match.team1_id ? match.team2_id : match.team1_id;
+}
+
+// Bring the bracket up to date: create a tie's match as soon as both sides are known, re-point an
+// unplayed match if a feeder result was corrected, and crown the champion once the final is decided
+const advancePlayoffs = db.transaction(season => {
+  const bracket = getBracketRow(season);
+  if (!bracket) return null;
+
+  const slots = db.prepare('SELECT * FROM playoff_slots WHERE season = ? ORDER BY playoff_round ASC, id ASC').all(season);
+  const slotsByKey = new Map(slots.map(slot => [slot.slot_key, slot]));
+  const { startDate, daysBetweenRounds = 7, teeTime, venue, courseId } = bracket.schedule;
+
+  const { last } = db.prepare(`
+    SELECT COALESCE(MAX(round_number), 0) as last FROM matches WHERE season = ? AND stage = 'league'
+  `).get(season);
+
+  slots.forEach(slot => {
+    const team1Id = resolveSource(slot.team1_source, bracket.seeds, slotsByKey);
+    const team2Id = resolveSource(slot.team2_source, bracket.seeds, slotsByKey);
+    const match = slot.match_id ? db.prepare('SELECT * FROM matches WHERE id = ?').get(slot.match_id) : null;
+
+    if (!match) {
+      if (team1Id && team2Id) {
+        const result = db.prepare(`
+          INSERT INTO matches (round_number, team1_id, team2_id, match_date, tee_time, venue, season, course_id, stage)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'playoff')
+        `).run(
+          last + slot.playoff_round, team1Id, team2Id,
+          startDate ? addDays(startDate, (slot.playoff_round - 1) * daysBetweenRounds) : null,
+          teeTime || null, venue || 'KGA', season, courseId || null
+        );
+        db.prepare('UPDATE playoff_slots SET match_id = ? WHERE id = ?').run(result.lastInsertRowid, slot.id);
+        slot.match_id = result.lastInsertRowid;
+      }
+      return;
+    }
+
+    const unplayed = match.status === 'scheduled' &&
+      !db.prepare('SELECT 1 FROM hole_scores WHERE match_id = ? LIMIT 1').get(match.id);
+
+    if (unplayed && (match.team1_id !== team1Id || match.team2_id !== team2Id)) {
+      if (team1Id && team2Id) {
+        db.prepare('UPDATE matches SET team1_id = ?, team2_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+          .run(team1Id, team2Id, match.id);
+      } else {
+        db.prepare('UPDATE playoff_slots SET match_id = NULL WHERE id = ?').run(slot.id);
+        db.prepare('DELETE FROM matches WHERE id = ?').run(match.id);
+        slot.match_id = null;
+      }
+    }
+  });
+
+  const finalSlot = slots[slots.length - 1];
+  const championId = resolveSource(`winner:${finalSlot.slot_key}`, bracket.seeds, slotsByKey);
+
+  db.prepare(`
+    UPDATE playoff_brackets SET
+      status = ?,
+      champion_team_id = ?,
+      completed_at = CASE WHEN ? THEN COALESCE(completed_at, CURRENT_TIMESTAMP) ELSE NULL END
+    WHERE season = ?
+  `).run(championId ? 'completed' : 'in_progress', championId, championId ? 1 : 0, season);
+
+  return getPlayoffs(season);
+});
+
+// Seed a bracket from the top of the final league table and create its first-round matches
+const createPlayoffs = db.transaction(({ season, format, schedule, createdBy }) => {
+  const seeds = getLeagueTable(season).slice(0, PLAYOFF_TEAMS).map(row => row.teamId);
+
+  db.prepare(`
+    INSERT INTO playoff_brackets (season, format, seeds, schedule, created_by) VALUES (?, ?, ?, ?, ?)
+  `).run(season, format, JSON.stringify(seeds), JSON.stringify(schedule), createdBy);
+
+  const insert = db.prepare(`
+    INSERT INTO playoff_slots (season, slot_key, name, playoff_round, team1_source, team2_source)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  PLAYOFF_FORMATS[format].forEach(tie => insert.run(season, tie.key, tie.name, tie.round, tie.team1, tie.team2));
+
+  return advancePlayoffs(season);
+});
+
+// An official's call on the next extra hole of a halved match, for when the hole isn't scored from strokes.
+// A null winner halves the hole and play goes on.
+const recordSuddenDeathHole = db.transaction(({ match, winnerTeamId, userId }) => {
+  const next = calculateMatchState(match).suddenDeath.holes.length + 1;
+
+  db.prepare(`
+    INSERT INTO sudden_death_holes (match_id, extra_hole, course_hole, winner_team_id, recorded_by)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(match_id, extra_hole) DO UPDATE SET
+      winner_team_id = excluded.winner_team_id,
+      recorded_by = excluded.recorded_by,
+      recorded_at = CURRENT_TIMESTAMP
+  `).run(match.id, next, getExtraHoleCourseHole(match, HOLES_IN_ROUND + next), winnerTeamId, userId);
+
+  const state = recalculateMatch(match.id);
+  if (match.stage === 'playoff') {
+    advancePlayoffs(match.season);
+  }
+  return state;
+});
+
+// Knockout match awaiting a sudden-death decision
+function isInSuddenDeath(match) {
+  const state = calculateMatchState(match);
+  return !!(state.suddenDeath && !state.suddenDeath.decided);
+}
+
+function getPlayoffs(season) {
+  const bracket = getBracketRow(season);
+  if (!bracket) return null;
+
+  const teamNames = Object.fromEntries(
+    db.prepare('SELECT id, name FROM teams').all().map(team => [team.id, team.name])
+  );
+
+  const slots = db.prepare(`
+    SELECT ps.*, m.team1_id, m.team2_id, m.status, m.winner_id, m.final_result, m.match_date, m.tee_time
+    FROM playoff_slots ps
+    LEFT JOIN matches m ON ps.match_id = m.id
+    WHERE ps.season = ?
+    ORDER BY ps.playoff_round ASC, ps.id ASC
+  `).all(season);
+
+  return {
+    season: bracket.season,
+    format: bracket.format,
+    status: bracket.status,
+    seeds: bracket.seeds.map((teamId, index) => ({ seed: index + 1, teamId, name: teamNames[teamId] })),
+    championTeamId: bracket.champion_team_id,
+    championName: bracket.champion_team_id ? teamNames[bracket.champion_team_id] : null,
+    ties: slots.map(slot => {
+      const match = slot.match_id ? db.prepare('SELECT * FROM matches WHERE id = ?').get(slot.match_id) : null;
+      const state = match ? calculateMatchState(match) : null;
+
+      return {
+        key: slot.slot_key,
+        name: slot.name,
+        round: slot.playoff_round,
+        team1Source: slot.team1_source,
+        team2Source: slot.team2_source,
+        matchId: slot.match_id,
+        team1Id: slot.team1_id ?? null,
+        team1Name: slot.team1_id ? teamNames[slot.team1_id] : null,
+        team2Id: slot.team2_id ?? null,
+        team2Name: slot.team2_id ? teamNames[slot.team2_id] : null,
+        matchDate: slot.match_date ?? null,
+        teeTime: slot.tee_time ?? null,
+        status: slot.status ?? 'awaiting_teams',
+        winnerTeamId: slot.winner_id ?? null,
+        finalResult: slot.final_result ?? null,
+        statusText: state ? state.statusText : null,
+        suddenDeath: state ? state.suddenDeath || null : null
+      };
+    })
+  };
+}
+
+module.exports = {
+  PLAYOFF_FORMATS,
+  PLAYOFF_TEAMS,
+  createPlayoffs,
+  advancePlayoffs,
+  recordSuddenDeathHole,
+  isInSuddenDeath,
+  getPlayoffs
+};
@@ -0,0 +1,106 @@
+const { db } = require('../database');
+
+// Raised when a roster write would break a ledger invariant; carries an HTTP status and a machine-readable code
+class RosterLedgerError extends Error {
+  constructor(message, { status = 409, code, details = {} } = {}) {
+    super(message);
+    this.name = 'RosterLedgerError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, details: this.details };
+  }
+}
+
+// Add a player to a team for a season, charging the price against the team's budget.
+// Runs as one transaction: a player is on at most one team per season and budgets never go negative.
+const addToRoster = db.transaction(({ teamId, playerId, season, acquisitionType = 'auction', price = 0 }) => {
+  const team = db.prepare('SELECT * FROM teams WHERE id = ?').get(teamId);
+  if (!team) {
+    throw new RosterLedgerError('Team not found', { status: 404, code: 'TEAM_NOT_FOUND', details: { teamId } });
+  }
+
+  const player = db.prepare('SELECT * FROM players WHERE id = ?').get(playerId);
+  if (!player) {
+    throw new RosterLedgerError('Player not found', { status: 404, code: 'PLAYER_NOT_FOUND', details: { playerId } });
+  }
+
+  const existing = db.prepare('SELECT * FROM team_roster WHERE player_id = ? AND season = ?').get(playerId, season);
+  if (existing) {
+    throw new RosterLedgerError('Player is already on a team this season', {
+      code: 'PLAYER_ALREADY_ROSTERED',
+      details: { playerId, season, teamId: existing.team_id }
+    });
+  }
+
+  if (price > 0) {
+    const debited = db.prepare(`
+      UPDATE teams SET budget_remaining = budget_remaining - ? WHERE id = ? AND budget_remaining >= ?
+    `).run(price, teamId, price);
+
+    if (debited.changes === 0) {
+      throw new RosterLedgerError('Insufficient budget', {
+        code: 'INSUFFICIENT_BUDGET',
+        details: { teamId, price, budgetRemaining: team.budget_remaining }
+      });
+    }
+  }
+
+  const result = db.prepare(`
+    INSERT INTO team_roster (team_id, player_id, acquisition_type, price, season)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(teamId, playerId, acquisitionType, price, season);
+
+  db.prepare('UPDATE players SET is_available = 0 WHERE id = ?').run(playerId);
+
+  return db.prepare('SELECT * FROM team_roster WHERE id = ?').get(result.lastInsertRowid);
+});
+
+// Take a player off a team for a season, refunding what was paid and returning them to the pool
+const removeFromRoster = db.transaction(({ teamId, playerId, season }) => {
+  const entry = db.prepare(
+    'SELECT * FROM team_roster WHERE team_id = ? AND player_id = ? AND season = ?'
+  ).get(teamId, playerId, season);
+
+  if (!entry) {
+    throw new RosterLedgerError('Player not in roster', {
+      status: 404,
+      code: 'ROSTER_ENTRY_NOT_FOUND',
+      details: { teamId, playerId, season }
+    });
+  }
+
+  db.prepare('DELETE FROM team_roster WHERE id = ?').run(entry.id);
+
+  if (entry.price > 0) {
+    db.prepare('UPDATE teams SET budget_remaining = budget_remaining + ? WHERE id = ?').run(entry.price, teamId);
+  }
+
+  db.prepare('UPDATE players SET is_available = 1 WHERE id = ?').run(playerId);
+
+  return entry;
+});
+
+// Move a player between teams for a season (e.g. in a trade). The price paid moves with the player:
+// the old team is refunded and the new team charged, so the new team must be able to afford it.
+const transferPlayer = db.transaction(({ fromTeamId, toTeamId, playerId, season }) => {
+  const entry = removeFromRoster({ teamId: fromTeamId, playerId, season });
+
+  return addToRoster({
+    teamId: toTeamId,
+    playerId,
+    season,
+    acquisitionType: entry.acquisition_type,
+    price: entry.price
+  });
+});
+
+module.exports = {
+  RosterLedgerError,
+  addToRoster,
+  removeFromRoster,
+  transferPlayer
+};
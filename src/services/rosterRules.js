@@ -0,0 +1,70 @@
+const { db } = require('../database');
+
+// Used for seasons that have no roster_rules row yet
+const DEFAULT_RULES = {
+  minSquadSize: 5,
+  maxSquadSize: 8,
+  minReservePerSlot: null
+};
+
+// Get squad size limits and reserve settings for a season
+function getRosterRules(season) {
+  const row = db.prepare('SELECT * FROM roster_rules WHERE season = ?').get(season);
+
+  if (!row) {
+    return { season, ...DEFAULT_RULES };
+  }
+
+  return {
+    season: row.season,
+    minSquadSize: row.min_squad_size,
+    maxSquadSize: row.max_squad_size,
+    minReservePerSlot: row.min_reserve_per_slot
+  };
+}
+
+// Amount a team must hold back for each slot it still has to fill.
+// Falls back to the cheapest base price left in the pool when no fixed reserve is configured.
+function getReservePerSlot(season, excludePlayerId = null) {
+  const rules = getRosterRules(season);
+  if (rules.minReservePerSlot !== null) {
+    return rules.minReservePerSlot;
+  }
+
+  const cheapest = db.prepare(`
+    SELECT MIN(p.base_price) as price
+    FROM players p
+    WHERE p.is_available = 1
+      AND p.id != ?
+      AND p.id NOT IN (SELECT player_id FROM team_roster WHERE season = ?)
+  `).get(excludePlayerId || 0, season);
+
+  return cheapest.price || 0;
+}
+
+// Highest bid a team can make and still afford to complete a legal squad.
+// Returns 0 when the team's squad is already full.
+function getMaxAllowedBid(team, season, excludePlayerId = null) {
+  const rules = getRosterRules(season);
+
+  const { count } = db.prepare(
+    'SELECT COUNT(*) as count FROM team_roster WHERE team_id = ? AND season = ?'
+  ).get(team.id, season);
+
+  if (count >= rules.maxSquadSize) {
+    return 0;
+  }
+
+  // Slots still to fill after winning this player
+  const slotsAfterThis = Math.max(0, rules.minSquadSize - (count + 1));
+  const reserve = slotsAfterThis * getReservePerSlot(season, excludePlayerId);
+
+  return Math.max(0, team.budget_remaining - reserve);
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  getRosterRules,
+  getReservePerSlot,
+  getMaxAllowedBid
+};
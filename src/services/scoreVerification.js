@@ -0,0 +1,201 @@
+const { db } = require('../database');
+const { recalculateMatch } = require('./matchPlay');
+
+// Admins and the match's referee enter scores directly and settle disputes
+function isMatchOfficial(match, user) {
+  return user.role === 'admin' || (match.referee_user_id !== null && match.referee_user_id === user.id);
+}
+
+// The side a user marks for: the match team they own, captain or are rostered on this season
+function getSubmittingTeamId(match, user) {
+  const teamIds = [match.team1_id, match.team2_id];
+
+  const managed = db.prepare(`
+    SELECT id FROM teams WHERE id IN (?, ?) AND (owner_id = ? OR captain_id = ?)
+  `).get(...teamIds, user.id, user.id);
+  if (managed) return managed.id;
+
+  const rostered = db.prepare(`
+    SELECT tr.team_id FROM players p
+    JOIN team_roster tr ON p.id = tr.player_id
+    WHERE p.user_id = ? AND tr.season = ? AND tr.team_id IN (?, ?)
+  `).get(user.id, match.season, ...teamIds);
+
+  return rostered ? rostered.team_id : null;
+}
+
+function logHistory({ matchId, rubberId, holeNumber, playerId, action, strokes, previousStrokes, teamId, userId, note }) {
+  db.prepare(`
+    INSERT INTO hole_score_history
+      (match_id, rubber_id, hole_number, player_id, action, strokes, previous_strokes, team_id, user_id, note)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    matchId, rubberId, holeNumber, playerId, action, strokes ?? null, previousStrokes ?? null,
+    teamId ?? null, userId ?? null, note ?? null
+  );
+}
+
+function getHoleScore(matchId, holeNumber, playerId) {
+  return db.prepare(`
+    SELECT * FROM hole_scores WHERE match_id = ? AND hole_number = ? AND player_id = ?
+  `).get(matchId, holeNumber, playerId);
+}
+
+function setHoleScore({ matchId, rubberId, holeNumber, teamId, playerId, strokes, status, userId }) {
+  const official = status === 'resolved';
+
+  db.prepare(`
+    INSERT INTO hole_scores (match_id, rubber_id, hole_number, team_id, player_id, strokes, status, recorded_by, resolved_by, resolved_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? THEN CURRENT_TIMESTAMP END)
+    ON CONFLICT(match_id, hole_number, player_id) DO UPDATE SET
+      strokes = excluded.strokes,
+      status = excluded.status,
+      recorded_by = excluded.recorded_by,
+      recorded_at = CURRENT_TIMESTAMP,
+      resolved_by = excluded.resolved_by,
+      resolved_at = excluded.resolved_at
+  `).run(
+    matchId, rubberId, holeNumber, teamId, playerId, strokes, status, userId,
+    official ? userId : null, official ? 1 : 0
+  );
+}
+
+// Record one entry of a player's strokes on a hole. Each side's entry is kept separately:
+// a lone entry is pending, matching entries are confirmed and differing ones disputed.
+// An official's entry (submittingTeamId null) is final. Re-derives the match and returns its state.
+const submitScore = db.transaction(({ match, rubberId, holeNumber, teamId, playerId, strokes, userId, submittingTeamId }) => {
+  const existing = getHoleScore(match.id, holeNumber, playerId);
+  const entry = { matchId: match.id, rubberId, holeNumber, playerId };
+
+  if (submittingTeamId === null) {
+    setHoleScore({ ...entry, teamId, strokes, status: 'resolved', userId });
+    logHistory({ ...entry, action: 'resolved', strokes, previousStrokes: existing && existing.strokes, userId });
+    return { success: true, verification: 'resolved', state: recalculateMatch(match.id, rubberId) };
+  }
+
+  if (existing && existing.status === 'resolved') {
+    return { success: false, status: 409, error: 'This score has been set by an official and can no longer be changed' };
+  }
+
+  const previous = db.prepare(`
+    SELECT * FROM score_submissions
+    WHERE match_id = ? AND hole_number = ? AND player_id = ? AND submitted_by_team_id = ?
+  `).get(match.id, holeNumber, playerId, submittingTeamId);
+
+  db.prepare(`
+    INSERT INTO score_submissions (match_id, rubber_id, hole_number, player_id, team_id, submitted_by_team_id, strokes, submitted_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(match_id, hole_number, player_id, submitted_by_team_id) DO UPDATE SET
+      strokes = excluded.strokes,
+      submitted_by = excluded.submitted_by,
+      submitted_at = CURRENT_TIMESTAMP
+  `).run(match.id, rubberId, holeNumber, playerId, teamId, submittingTeamId, strokes, userId);
+
+  logHistory({
+    ...entry,
+    action: 'submitted',
+    strokes,
+    previousStrokes: previous && previous.strokes,
+    teamId: submittingTeamId,
+    userId
+  });
+
+  const other = db.prepare(`
+    SELECT * FROM score_submissions
+    WHERE match_id = ? AND hole_number = ? AND player_id = ? AND submitted_by_team_id != ?
+  `).get(match.id, holeNumber, playerId, submittingTeamId);
+
+  const verification = !other ? 'pending' : other.strokes === strokes ? 'confirmed' : 'disputed';
+  setHoleScore({ ...entry, teamId, strokes, status: verification, userId });
+
+  if (verification !== 'pending') {
+    logHistory({ ...entry, action: verification, strokes, previousStrokes: other.strokes, teamId: submittingTeamId, userId });
+  }
+
+  return {
+    success: true,
+    verification,
+    opposingStrokes: other ? other.strokes : null,
+    state: recalculateMatch(match.id, rubberId)
+  };
+});
+
+// An official settles a disputed hole score; the match can then finish if that was all that held it up
+const resolveDispute = db.transaction(({ match, holeScore, strokes, userId, note }) => {
+  setHoleScore({
+    matchId: match.id,
+    rubberId: holeScore.rubber_id,
+    holeNumber: holeScore.hole_number,
+    teamId: holeScore.team_id,
+    playerId: holeScore.player_id,
+    strokes,
+    status: 'resolved',
+    userId
+  });
+
+  logHistory({
+    matchId: match.id,
+    rubberId: holeScore.rubber_id,
+    holeNumber: holeScore.hole_number,
+    playerId: holeScore.player_id,
+    action: 'resolved',
+    strokes,
+    previousStrokes: holeScore.strokes,
+    userId,
+    note
+  });
+
+  return recalculateMatch(match.id, holeScore.rubber_id);
+});
+
+// Open disputes in a match with what each side entered
+function getOpenDisputes(matchId) {
+  const disputes = db.prepare(`
+    SELECT hs.*, u.name as player_name
+    FROM hole_scores hs
+    JOIN players p ON hs.player_id = p.id
+    JOIN users u ON p.user_id = u.id
+    WHERE hs.match_id = ? AND hs.status = 'disputed'
+    ORDER BY hs.rubber_id ASC, hs.hole_number ASC
+  `).all(matchId);
+
+  return disputes.map(dispute => ({
+    ...dispute,
+    submissions: db.prepare(`
+      SELECT ss.submitted_by_team_id, ss.strokes, ss.submitted_by, ss.submitted_at, u.name as submitted_by_name
+      FROM score_submissions ss
+      LEFT JOIN users u ON ss.submitted_by = u.id
+      WHERE ss.match_id = ? AND ss.hole_number = ? AND ss.player_id = ?
+    `).all(matchId, dispute.hole_number, dispute.player_id)
+  }));
+}
+
+function getScoreHistory(matchId, holeNumber = null) {
+  let query = `
+    SELECT h.*, u.name as user_name, pu.name as player_name
+    FROM hole_score_history h
+    LEFT JOIN users u ON h.user_id = u.id
+    JOIN players p ON h.player_id = p.id
+    JOIN users pu ON p.user_id = pu.id
+    WHERE h.match_id = ?
+  `;
+  const params = [matchId];
+
+  if (holeNumber) {
+    query += ' AND h.hole_number = ?';
+    params.push(holeNumber);
+  }
+
+  query += ' ORDER BY h.hole_number ASC, h.id ASC';
+
+  return db.prepare(query).all(...params);
+}
+
+module.exports = {
+  isMatchOfficial,
+  getSubmittingTeamId,
+  submitScore,
+  resolveDispute,
+  getOpenDisputes,
+  getScoreHistory
+};
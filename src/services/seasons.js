@@ -0,0 +1,131 @@
+const { db } = require('../database');
+const { addToRoster } = require('./rosterLedger');
+
+// Lifecycle order. A season only moves forward, and reaches 'closed' through a rollover.
+const SEASON_STATUSES = ['planning', 'auction', 'draft', 'regular', 'playoffs', 'closed'];
+
+// Purse every team starts a new season with unless the rollover sets another
+const DEFAULT_BUDGET = 10000000;
+
+function getSeason(id) {
+  return db.prepare('SELECT * FROM seasons WHERE id = ?').get(id) || null;
+}
+
+function getSeasons() {
+  return db.prepare('SELECT * FROM seasons ORDER BY id DESC').all();
+}
+
+function getCurrentSeason() {
+  return db.prepare('SELECT * FROM seasons WHERE is_current = 1').get() || null;
+}
+
+// The season routes use when none is given
+function getCurrentSeasonId() {
+  const season = getCurrentSeason();
+  return season ? season.id : 1;
+}
+
+function isSeasonClosed(id) {
+  const season = getSeason(id);
+  return !!season && season.status === 'closed';
+}
+
+// Move a season on to a later stage of its lifecycle; never back, and never to closed
+function advanceSeasonStatus(id, status) {
+  const season = getSeason(id);
+  if (!season || season.status === 'closed') return;
+
+  if (SEASON_STATUSES.indexOf(status) > SEASON_STATUSES.indexOf(season.status) && status !== 'closed') {
+    db.prepare('UPDATE seasons SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(status, id);
+  }
+}
+
+// Close the current season and open the next one as current: every team's budget is reset, core players
+// and any retained players are carried onto the same teams (charged at their previous price), and everyone
+// else goes back into the player pool. The closed season is kept as a read-only archive.
+// retained is a list of { teamId, playerId } from the closing season's rosters.
+const rolloverSeason = db.transaction(({ name, startDate, endDate, budget = DEFAULT_BUDGET, retained = [], userId }) => {
+  const previous = getCurrentSeason();
+  if (!previous) {
+    return { success: false, status: 409, error: 'There is no current season to roll over' };
+  }
+
+  const state = db.prepare('SELECT mode FROM auction_state WHERE id = 1').get();
+  if (state && state.mode !== 'idle') {
+    return { success: false, status: 409, error: `End the ${state.mode} before rolling the season over` };
+  }
+
+  const previousRoster = db.prepare('SELECT * FROM team_roster WHERE season = ? ORDER BY id ASC').all(previous.id);
+
+  for (const { teamId, playerId } of retained) {
+    if (!previousRoster.some(entry => entry.team_id === teamId && entry.player_id === playerId)) {
+      return {
+        success: false,
+        status: 400,
+        error: `Player ${playerId} was not on team ${teamId} in ${previous.name}`
+      };
+    }
+  }
+
+  const { next } = db.prepare('SELECT MAX(id) + 1 as next FROM seasons').get();
+
+  db.prepare(`
+    UPDATE seasons SET status = 'closed', is_current = 0, closed_at = CURRENT_TIMESTAMP, closed_by = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(userId, previous.id);
+
+  // Pick trades still waiting for approval can't be applied once the season is closed
+  db.prepare(`
+    UPDATE draft_trades SET status = 'cancelled', resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+    WHERE season = ? AND status = 'pending'
+  `).run(userId, previous.id);
+
+  db.prepare(`
+    INSERT INTO seasons (id, name, start_date, end_date, status, is_current) VALUES (?, ?, ?, ?, 'planning', 1)
+  `).run(next, name || `Season ${next}`, startDate || null, endDate || null);
+
+  db.prepare('UPDATE teams SET budget_remaining = ?, updated_at = CURRENT_TIMESTAMP').run(budget);
+  db.prepare('UPDATE players SET is_available = 1').run();
+
+  const carried = previousRoster
+    .filter(entry => entry.acquisition_type === 'core' ||
+      retained.some(keep => keep.teamId === entry.team_id && keep.playerId === entry.player_id))
+    .map(entry => addToRoster({
+      teamId: entry.team_id,
+      playerId: entry.player_id,
+      season: next,
+      acquisitionType: entry.acquisition_type,
+      price: entry.price
+    }));
+
+  db.prepare(`
+    UPDATE auction_state SET
+      mode = 'idle',
+      current_player_id = NULL,
+      current_bid = 0,
+      current_bidder_team_id = NULL,
+      timer_end = NULL,
+      draft_round = 1,
+      draft_pick = 1,
+      draft_order = NULL,
+      draft_completed_at = NULL,
+      season = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = 1
+  `).run(next);
+
+  return { success: true, previous: getSeason(previous.id), season: getSeason(next), carried };
+});
+
+module.exports = {
+  SEASON_STATUSES,
+  DEFAULT_BUDGET,
+  getSeason,
+  getSeasons,
+  getCurrentSeason,
+  getCurrentSeasonId,
+  isSeasonClosed,
+  advanceSeasonStatus,
+  rolloverSeason
+};
@@ -0,0 +1,219 @@
+const { db } = require('../database');
+
+const TIEBREAKERS = ['head_to_head', 'holes_difference', 'margin'];
+
+const DEFAULT_CONFIG = {
+  pointsWin: 2,
+  pointsHalve: 1,
+  pointsLoss: 0,
+  tiebreakers: TIEBREAKERS
+};
+
+function getStandingsConfig(season) {
+  const row = db.prepare('SELECT * FROM standings_config WHERE season = ?').get(season);
+  if (!row) return { season, ...DEFAULT_CONFIG };
+
+  return {
+    season,
+    pointsWin: row.points_win,
+    pointsHalve: row.points_halve,
+    pointsLoss: row.points_loss,
+    tiebreakers: row.tiebreakers ? JSON.parse(row.tiebreakers) : TIEBREAKERS
+  };
+}
+
+function saveStandingsConfig(season, config) {
+  db.prepare(`
+    INSERT INTO standings_config (season, points_win, points_halve, points_loss, tiebreakers)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(season) DO UPDATE SET
+      points_win = excluded.points_win,
+      points_halve = excluded.points_halve,
+      points_loss = excluded.points_loss,
+      tiebreakers = excluded.tiebreakers,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(season, config.pointsWin, config.pointsHalve, config.pointsLoss, JSON.stringify(config.tiebreakers));
+
+  return getStandingsConfig(season);
+}
+
+// Winning margin from a match result: "3&2" and "2 up" are worth 3 and 2 holes,
+// a fixture's "2½-1½" the difference in points, and a halved match nothing. A sudden-death win
+// ("Won at the 20th", or a fixture's "2-2, won at the 20th") counts as one hole.
+function parseMargin(finalResult) {
+  if (!finalResult) return 0;
+
+  const suddenDeath = finalResult.match(/^(.*?)(?:, )?won at the \d+\w*$/i);
+  if (suddenDeath) return Math.max(parseMargin(suddenDeath[1]), 1);
+
+  const closedOut = finalResult.match(/^(\d+)&\d+$/);
+  if (closedOut) return parseInt(closedOut[1]);
+
+  const up = finalResult.match(/^(\d+) up$/);
+  if (up) return parseInt(up[1]);
+
+  const points = finalResult.match(/^(\d*½?)-(\d*½?)$/);
+  if (points) {
+    const toNumber = value => (parseInt(value) || 0) + (value.endsWith('½') ? 0.5 : 0);
+    return Math.abs(toNumber(points[1]) - toNumber(points[2]));
+  }
+
+  return 0;
+}
+
+function getHolesRecord(matchIds) {
+  const record = new Map();
+  if (matchIds.length === 0) return record;
+
+  db.prepare(`
+    SELECT team_id,
+           SUM(CASE WHEN result = 'won' THEN 1 ELSE 0 END) as won,
+           SUM(CASE WHEN result = 'lost' THEN 1 ELSE 0 END) as lost
+    FROM match_scores
+    WHERE match_id IN (${matchIds.map(() => '?').join(', ')})
+    GROUP BY team_id
+  `).all(...matchIds).forEach(row => record.set(row.team_id, row));
+
+  return record;
+}
+
+// League table from a set of completed league-stage matches, ranked by points and then the configured tiebreakers
+function buildTable(teams, matches, config) {
+  const rows = new Map(teams.map(team => [team.id, {
+    teamId: team.id,
+    name: team.name,
+    played: 0,
+    won: 0,
+    halved: 0,
+    lost: 0,
+    points: 0,
+    holesWon: 0,
+    holesLost: 0,
+    holesDifference: 0,
+    margin: 0
+  }]));
+
+  matches.forEach(match => {
+    const margin = parseMargin(match.final_result);
+
+    [match.team1_id, match.team2_id].forEach(teamId => {
+      const row = rows.get(teamId);
+      if (!row) return;
+
+      row.played++;
+      if (!match.winner_id) {
+        row.halved++;
+        row.points += config.pointsHalve;
+      } else if (match.winner_id === teamId) {
+        row.won++;
+        row.points += config.pointsWin;
+        row.margin += margin;
+      } else {
+        row.lost++;
+        row.points += config.pointsLoss;
+        row.margin -= margin;
+      }
+    });
+  });
+
+  getHolesRecord(matches.map(match => match.id)).forEach((record, teamId) => {
+    const row = rows.get(teamId);
+    if (!row) return;
+    row.holesWon = record.won;
+    row.holesLost = record.lost;
+    row.holesDifference = record.won - record.lost;
+  });
+
+  // Points each team took from matches against the others it is level with
+  const headToHead = (teamId, level) => matches
+    .filter(match => level.has(match.team1_id) && level.has(match.team2_id))
+    .filter(match => match.team1_id === teamId || match.team2_id === teamId)
+    .reduce((points, match) => {
+      if (!match.winner_id) return points + config.pointsHalve;
+      return points + (match.winner_id === teamId ? config.pointsWin : config.pointsLoss);
+    }, 0);
+
+  const table = [...rows.values()];
+  const levelOnPoints = new Map();
+  table.forEach(row => {
+    if (!levelOnPoints.has(row.points)) levelOnPoints.set(row.points, new Set());
+    levelOnPoints.get(row.points).add(row.teamId);
+  });
+  table.forEach(row => {
+    row.headToHead = headToHead(row.teamId, levelOnPoints.get(row.points));
+  });
+
+  const tiebreakValue = {
+    head_to_head: row => row.headToHead,
+    holes_difference: row => row.holesDifference,
+    margin: row => row.margin
+  };
+
+  table.sort((a, b) => {
+    if (b.points !== a.points) return b.points - a.points;
+    for (const tiebreaker of config.tiebreakers) {
+      const diff = tiebreakValue[tiebreaker](b) - tiebreakValue[tiebreaker](a);
+      if (diff !== 0) return diff;
+    }
+    return a.name.localeCompare(b.name);
+  });
+
+  return table.map((row, index) => ({ position: index + 1, ...row }));
+}
+
+function getCompletedMatches(season, throughRound = null) {
+  let query = "SELECT * FROM matches WHERE season = ? AND stage = 'league' AND status = 'completed'";
+  const params = [season];
+
+  if (throughRound !== null) {
+    query += ' AND round_number <= ?';
+    params.push(throughRound);
+  }
+
+  return db.prepare(query).all(...params);
+}
+
+// Current league table for a season
+function getLeagueTable(season) {
+  const teams = db.prepare('SELECT id, name FROM teams ORDER BY name').all();
+  return buildTable(teams, getCompletedMatches(season), getStandingsConfig(season));
+}
+
+// The season's league table, plus a snapshot after each round so clients can show movement
+function getStandings(season) {
+  const config = getStandingsConfig(season);
+  const teams = db.prepare('SELECT id, name FROM teams ORDER BY name').all();
+
+  const rounds = db.prepare(`
+    SELECT DISTINCT round_number FROM matches
+    WHERE season = ? AND stage = 'league' AND status = 'completed'
+    ORDER BY round_number ASC
+  `).all(season).map(row => row.round_number);
+
+  const snapshots = rounds.map(round => ({
+    round,
+    standings: buildTable(teams, getCompletedMatches(season, round), config).map(row => ({
+      teamId: row.teamId,
+      position: row.position,
+      points: row.points,
+      played: row.played
+    }))
+  }));
+
+  const previous = snapshots.length > 1 ? snapshots[snapshots.length - 2].standings : null;
+  const standings = buildTable(teams, getCompletedMatches(season), config).map(row => {
+    const before = previous && previous.find(entry => entry.teamId === row.teamId);
+    return { ...row, movement: before ? before.position - row.position : 0 };
+  });
+
+  return { season, config, standings, rounds: snapshots };
+}
+
+module.exports = {
+  TIEBREAKERS,
+  getStandingsConfig,
+  saveStandingsConfig,
+  parseMargin,
+  getLeagueTable,
+  getStandings
+};